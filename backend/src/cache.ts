@@ -0,0 +1,155 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { writeFileAtomic } from "./storage.js";
+
+export interface CacheKeyParts {
+  text: string;
+  sourceLang?: string;
+  targetLang: string;
+  model: string;          // "<provider kind>:<model>", see cacheModelId()
+  promptVersion: string;
+}
+
+export interface CacheEntry {
+  key: string;
+  text: string;           // normalized source text
+  sourceLang: string;
+  targetLang: string;
+  model: string;
+  promptVersion: string;
+  translated: string;
+  createdAt: string;
+}
+
+export interface CacheFilter {
+  model?: string;
+  targetLang?: string;
+  promptVersion?: string;
+}
+
+export interface CacheStats {
+  enabled: boolean;
+  path: string;
+  entries: number;
+  hits: number;           // since server start
+  misses: number;
+}
+
+export interface TranslationCache {
+  get(parts: CacheKeyParts): string | undefined;
+  set(parts: CacheKeyParts, translated: string): void;
+  entries(filter?: CacheFilter): CacheEntry[];
+  /** Remove matching entries (all of them without a filter). Returns how many were removed. */
+  purge(filter?: CacheFilter): number;
+  stats(): CacheStats;
+}
+
+/**
+ * Normalize OCR text so trivial differences (full-width forms, stray
+ * whitespace, line breaks) between scans of the same bubble share an entry
+ */
+export function normalizeSourceText(text: string): string {
+  return text.normalize("NFKC").replace(/\s+/g, " ").trim();
+}
+
+export function cacheModelId(provider: { kind: string; name: string; model?: string }): string {
+  return `${provider.kind}:${provider.model ?? provider.name}`;
+}
+
+function cacheKey(parts: CacheKeyParts): string {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([
+      normalizeSourceText(parts.text),
+      parts.sourceLang || "auto",
+      parts.targetLang,
+      parts.model,
+      parts.promptVersion,
+    ]))
+    .digest("hex");
+}
+
+function matchesFilter(entry: CacheEntry, filter: CacheFilter = {}): boolean {
+  return (!filter.model || entry.model === filter.model) &&
+    (!filter.targetLang || entry.targetLang === filter.targetLang) &&
+    (!filter.promptVersion || entry.promptVersion === filter.promptVersion);
+}
+
+/**
+ * On-disk translation cache backed by a JSON-lines file.
+ *
+ * Entries are kept in memory and appended to the file as they are added;
+ * the file is only rewritten on purge. A later line for the same key wins.
+ */
+export function createTranslationCache(filePath: string, enabled = true): TranslationCache {
+  const resolvedPath = path.resolve(filePath);
+  const store = new Map<string, CacheEntry>();
+  let hits = 0;
+  let misses = 0;
+
+  if (enabled && fs.existsSync(resolvedPath)) {
+    const lines = fs.readFileSync(resolvedPath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line) as CacheEntry;
+        store.set(entry.key, entry);
+      } catch {
+        console.warn("Skipping corrupt cache line in", resolvedPath);
+      }
+    }
+    console.log(`Loaded ${store.size} cached translations from ${resolvedPath}`);
+  }
+
+  function rewriteFile(): void {
+    writeFileAtomic(resolvedPath, Array.from(store.values()).map((e) => JSON.stringify(e) + "\n").join(""));
+  }
+
+  return {
+    get(parts) {
+      if (!enabled) return undefined;
+      const entry = store.get(cacheKey(parts));
+      if (entry) hits++;
+      else misses++;
+      return entry?.translated;
+    },
+
+    set(parts, translated) {
+      if (!enabled || !translated) return;
+      const entry: CacheEntry = {
+        key: cacheKey(parts),
+        text: normalizeSourceText(parts.text),
+        sourceLang: parts.sourceLang || "auto",
+        targetLang: parts.targetLang,
+        model: parts.model,
+        promptVersion: parts.promptVersion,
+        translated,
+        createdAt: new Date().toISOString(),
+      };
+      store.set(entry.key, entry);
+      fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+      fs.appendFileSync(resolvedPath, JSON.stringify(entry) + "\n");
+    },
+
+    entries(filter) {
+      return Array.from(store.values()).filter((e) => matchesFilter(e, filter));
+    },
+
+    purge(filter) {
+      let removed = 0;
+      for (const [key, entry] of store) {
+        if (matchesFilter(entry, filter)) {
+          store.delete(key);
+          removed++;
+        }
+      }
+      if (removed > 0) rewriteFile();
+      return removed;
+    },
+
+    stats() {
+      return { enabled, path: resolvedPath, entries: store.size, hits, misses };
+    },
+  };
+}
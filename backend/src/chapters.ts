@@ -0,0 +1,311 @@
+import { randomUUID } from "node:crypto";
+import type { GlossaryWarning } from "./glossary.js";
+import { fetchImage } from "./images.js";
+import type { JobQueue } from "./jobs.js";
+import type { OcrBbox, OcrService } from "./ocr.js";
+import type { TranslationSegment } from "./providers/index.js";
+import { qualityItem, type QualityChecker, type QualityScore } from "./quality.js";
+import { orderBlocks, type ReadingDirection } from "./readingOrder.js";
+import {
+  jobFailure,
+  translateBatchResults,
+  type LanguagePair,
+  type RequestContext,
+  type StoredTranslation,
+  type Translator,
+} from "./translator.js";
+
+export type ChapterJobState = "running" | "done" | "cancelled";
+
+export type ChapterImageState = "pending" | "fetching" | "ocr" | "translating" | "done" | "failed" | "cancelled";
+
+type BlockTranslation = StoredTranslation & { glossaryWarnings?: GlossaryWarning[]; quality?: QualityScore };
+
+/** One OCR text block with its translation; bbox is in pixels of the image as fetched */
+export type ChapterBlock = BlockTranslation & {
+  text: string;
+  confidence: number;
+  bbox: OcrBbox;
+};
+
+export interface ChapterImage {
+  index: number;
+  url?: string;              // unset for uploaded images
+  name?: string;             // file name of an upload
+  state: ChapterImageState;
+  error?: string;            // image_fetch_failed, ocr_failed, translation_failed, translation_timeout
+  detail?: string;
+  translationJobId?: string; // queue job translating this image's blocks
+  blocks?: ChapterBlock[];   // set once the image is done
+}
+
+export interface ChapterJob {
+  id: string;
+  kind: "chapter";
+  state: ChapterJobState;
+  provider: string;
+  ocrLang: string;
+  readingDirection: ReadingDirection;
+  sourceLang?: string;
+  targetLang: string;
+  progress: { total: number; done: number; failed: number };
+  createdAt: string;
+  finishedAt?: string;
+  images: ChapterImage[];
+}
+
+export interface ChapterImageSource {
+  url?: string;
+  image?: Buffer;            // uploaded or decoded from a data URL
+  name?: string;
+}
+
+export interface ChapterOptions extends LanguagePair {
+  ocrLang: string;
+  readingDirection: ReadingDirection; // order in which each image's blocks are translated and returned
+  context: RequestContext;
+}
+
+export interface ChapterJobStore {
+  /** Start a job; images are fetched, recognized and translated one after another in the background */
+  create(sources: ChapterImageSource[], options: ChapterOptions): ChapterJob;
+  get(id: string): ChapterJob | undefined;
+  list(): ChapterJob[];
+  /** Stop a running job; images not finished yet end up "cancelled" */
+  cancel(id: string): boolean;
+}
+
+export interface ChapterJobDeps {
+  ocr: OcrService;
+  translator: Translator;
+  quality: QualityChecker;
+  jobs: JobQueue;
+}
+
+// Finished jobs stay readable this long so clients can collect their results
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+// Shorter OCR blocks are almost always noise
+const MIN_BLOCK_LENGTH = 2;
+
+/** An image step failed; `error` becomes the image's error code */
+class ImageError extends Error {
+  constructor(readonly error: string, detail: string) {
+    super(detail);
+  }
+}
+
+interface Entry {
+  info: ChapterJob;
+  options: ChapterOptions;
+  sources: (ChapterImageSource | undefined)[];
+  controller: AbortController;
+}
+
+/**
+ * Background jobs that turn a chapter's images into positioned translations.
+ * Provider calls go through the job queue like any other translation, so a
+ * chapter waits its turn and counts against the concurrency limit.
+ */
+export function createChapterJobStore({ ocr, translator, quality, jobs }: ChapterJobDeps): ChapterJobStore {
+  const chapters = new Map<string, Entry>();
+
+  function pruneFinished(): void {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, { info }] of chapters) {
+      if (info.finishedAt && Date.parse(info.finishedAt) < cutoff) chapters.delete(id);
+    }
+  }
+
+  /**
+   * Translate the blocks of one image as a batch. Stored translations are
+   * used as-is; only the rest goes to the provider. With the quality pass on,
+   * every block is scored, weighing in its OCR confidence.
+   */
+  async function translateBlocks(
+    entry: Entry,
+    image: ChapterImage,
+    segments: TranslationSegment[],
+    confidences: number[]
+  ): Promise<BlockTranslation[]> {
+    const { context } = entry.options;
+    const { provider, structured } = context;
+
+    const requests = new Map(segments.map((s) => [s.id, translator.requestFor(s.text, entry.options, context)]));
+    const keyFor = (id: string) => translator.cacheKeyFor(provider, requests.get(id)!, structured);
+
+    const results = new Map<string, StoredTranslation>();
+    const misses: TranslationSegment[] = [];
+    for (const segment of segments) {
+      const stored = translator.findStored(requests.get(segment.id)!, keyFor(segment.id), structured);
+      if (stored !== undefined) results.set(segment.id, stored);
+      else misses.push(segment);
+    }
+
+    let scores: Map<string, QualityScore> | undefined;
+    if (misses.length > 0 || context.quality) {
+      const job = jobs.create("chapter", provider.name);
+      image.translationJobId = job.id;
+      const cancel = () => job.abort("cancelled");
+      entry.controller.signal.addEventListener("abort", cancel, { once: true });
+
+      try {
+        await job.wait();
+        if (misses.length > 0) {
+          const request = { ...translator.batchRequestFor(misses, entry.options, context), signal: job.signal };
+          const fresh = await translateBatchResults(provider, request, structured);
+          for (const segment of misses) {
+            const result = fresh.get(segment.id) ?? { translated: "" };
+            results.set(segment.id, result);
+            translator.saveResult(keyFor(segment.id), requests.get(segment.id)!, result, context);
+          }
+        }
+
+        if (context.quality) {
+          const items = segments.map((s, i) =>
+            qualityItem(s.id, s.text, results.get(s.id)!, entry.options.sourceLang, confidences[i])
+          );
+          scores = await quality.assess(items, entry.options.targetLang, context, job.signal);
+        }
+      } catch (err) {
+        const { error } = jobFailure(job, `Chapter translation error (${provider.name})`, err);
+        throw new ImageError(error, (err as Error)?.message ?? String(err));
+      } finally {
+        entry.controller.signal.removeEventListener("abort", cancel);
+        job.finish();
+      }
+    }
+
+    return segments.map((s) => {
+      const result = results.get(s.id) ?? { translated: "" };
+      return {
+        ...result,
+        glossaryWarnings: translator.glossaryWarningsFor(requests.get(s.id)!, result.translated),
+        ...(scores && { quality: scores.get(s.id) }),
+      };
+    });
+  }
+
+  async function processImage(entry: Entry, image: ChapterImage, source: ChapterImageSource): Promise<void> {
+    const { signal } = entry.controller;
+
+    image.state = "fetching";
+    let buffer = source.image;
+    if (!buffer) {
+      try {
+        buffer = await fetchImage(source.url!, entry.options.context.pageUrl, signal);
+      } catch (err) {
+        throw new ImageError("image_fetch_failed", (err as Error).message);
+      }
+    }
+
+    image.state = "ocr";
+    let ocrResult;
+    try {
+      ocrResult = await ocr.recognize(buffer, entry.options.ocrLang);
+    } catch (err) {
+      console.error(`Chapter OCR error (${entry.options.ocrLang}):`, err);
+      throw new ImageError("ocr_failed", (err as Error)?.message ?? String(err));
+    }
+    signal.throwIfAborted();
+
+    // Paragraphs are better translation units than lines, as in the extension
+    const candidates = ocrResult.paragraphs.length > 0 ? ocrResult.paragraphs : ocrResult.lines;
+    const blocks = orderBlocks(
+      candidates.filter((b) => b.text.trim().length >= MIN_BLOCK_LENGTH),
+      entry.options.readingDirection
+    );
+
+    image.state = "translating";
+    const translations = blocks.length > 0
+      ? await translateBlocks(
+          entry,
+          image,
+          blocks.map((b, i) => ({ id: String(i), text: b.text.trim() })),
+          blocks.map((b) => b.confidence)
+        )
+      : [];
+
+    image.blocks = blocks.map((b, i) => ({
+      ...translations[i],
+      text: b.text.trim(),
+      confidence: b.confidence,
+      bbox: b.bbox,
+    }));
+    image.state = "done";
+  }
+
+  async function run(entry: Entry): Promise<void> {
+    const { info, controller } = entry;
+
+    for (const image of info.images) {
+      const source = entry.sources[image.index]!;
+      if (controller.signal.aborted) {
+        image.state = "cancelled";
+        continue;
+      }
+
+      try {
+        await processImage(entry, image, source);
+        info.progress.done++;
+      } catch (err) {
+        if (controller.signal.aborted) {
+          image.state = "cancelled";
+        } else {
+          image.state = "failed";
+          image.error = err instanceof ImageError ? err.error : "image_failed";
+          image.detail = (err as Error)?.message;
+          info.progress.failed++;
+        }
+      } finally {
+        // Uploaded images can be large; drop each once it is processed
+        entry.sources[image.index] = undefined;
+      }
+    }
+
+    info.state = controller.signal.aborted ? "cancelled" : "done";
+    info.finishedAt = new Date().toISOString();
+    console.log(`Chapter job ${info.id} ${info.state}: ${info.progress.done} done, ${info.progress.failed} failed`);
+  }
+
+  return {
+    create(sources, options) {
+      pruneFinished();
+
+      const info: ChapterJob = {
+        id: randomUUID(),
+        kind: "chapter",
+        state: "running",
+        provider: options.context.provider.name,
+        ocrLang: options.ocrLang,
+        readingDirection: options.readingDirection,
+        sourceLang: options.sourceLang,
+        targetLang: options.targetLang,
+        progress: { total: sources.length, done: 0, failed: 0 },
+        createdAt: new Date().toISOString(),
+        images: sources.map((source, index) => ({
+          index,
+          ...(source.url && { url: source.url }),
+          ...(source.name && { name: source.name }),
+          state: "pending",
+        })),
+      };
+
+      const entry: Entry = { info, options, sources: [...sources], controller: new AbortController() };
+      chapters.set(info.id, entry);
+      run(entry).catch((err) => console.error(`Chapter job ${info.id} failed:`, err));
+      return info;
+    },
+
+    get: (id) => chapters.get(id)?.info,
+
+    list: () => Array.from(chapters.values(), (entry) => entry.info),
+
+    cancel(id) {
+      const entry = chapters.get(id);
+      if (!entry) return false;
+      entry.controller.abort();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,283 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export type ProviderKind = "ollama" | "openai" | "libretranslate";
+
+export interface OllamaProviderConfig {
+  kind: "ollama";
+  host?: string;       // e.g. "http://127.0.0.1:11434", defaults to the ollama client default
+  model: string;       // e.g. "aya:8b"
+  temperature?: number;
+}
+
+export interface OpenAIProviderConfig {
+  kind: "openai";
+  baseUrl: string;     // e.g. "http://localhost:8080/v1" (llama.cpp server, vLLM, LM Studio)
+  apiKey?: string;
+  model: string;
+  temperature?: number;
+}
+
+export interface LibreTranslateProviderConfig {
+  kind: "libretranslate";
+  url: string;         // e.g. "http://localhost:5000"
+  apiKey?: string;
+}
+
+export type ProviderConfig =
+  | OllamaProviderConfig
+  | OpenAIProviderConfig
+  | LibreTranslateProviderConfig;
+
+export interface CacheConfig {
+  enabled: boolean;
+  path: string;        // JSON-lines file, relative to the working directory
+}
+
+export interface MemoryConfig {
+  enabled: boolean;
+  path: string;        // JSON-lines file, relative to the working directory
+}
+
+export interface GlossaryConfig {
+  path: string;        // JSON file, relative to the working directory
+}
+
+export interface OcrConfig {
+  langPath?: string;   // traineddata location (URL or directory); tesseract.js CDN if unset
+  cachePath: string;   // where downloaded traineddata is kept
+}
+
+export interface RenderConfig {
+  fontsDir: string;       // extra .ttf/.otf/.woff2 fonts, relative to the working directory
+  defaultFont: string;    // font family used when a request names none
+}
+
+export interface QualityConfig {
+  threshold: number;      // blocks scoring below this (0..1) are flagged as low quality
+}
+
+export interface ProfilesConfig {
+  customDir: string;      // user-edited profiles, relative to the working directory
+  defaultProfile: string; // used when a request names no profile
+}
+
+export interface JobsConfig {
+  concurrency: number;    // provider calls running at once; the rest wait in a queue
+  timeoutMs: number;      // per job, counted once it starts running; 0 disables
+}
+
+export interface SecurityConfig {
+  token?: string;           // shared secret; generated and kept in authPath when unset
+  authPath: string;         // generated token and paired extension origins
+  allowedOrigins: string[]; // browser origins allowed besides paired extensions, e.g. "http://localhost:5173"
+  maxBodyBytes: number;     // JSON request bodies; /ocr has its own limit for images
+  maxTextLength: number;    // characters per text or batch segment
+  maxSegments: number;      // segments per batch request
+}
+
+export interface ServerConfig {
+  port: number;
+  defaultProvider: string;
+  providers: Record<string, ProviderConfig>;
+  cache: CacheConfig;
+  memory: MemoryConfig;
+  glossaries: GlossaryConfig;
+  ocr: OcrConfig;
+  render: RenderConfig;
+  quality: QualityConfig;
+  profiles: ProfilesConfig;
+  jobs: JobsConfig;
+  security: SecurityConfig;
+}
+
+const DEFAULT_CONFIG: ServerConfig = {
+  port: 3000,
+  defaultProvider: "ollama",
+  providers: {
+    ollama: { kind: "ollama", model: "aya:8b", temperature: 0.3 },
+  },
+  cache: {
+    enabled: true,
+    path: "data/translation-cache.jsonl",
+  },
+  memory: {
+    enabled: true,
+    path: "data/translation-memory.jsonl",
+  },
+  glossaries: {
+    path: "data/glossaries.json",
+  },
+  ocr: {
+    cachePath: "data/tessdata",
+  },
+  render: {
+    fontsDir: "data/fonts",
+    defaultFont: "DejaVu Sans",
+  },
+  quality: {
+    threshold: 0.5,
+  },
+  profiles: {
+    customDir: "data/profiles",
+    defaultProfile: "manga",
+  },
+  jobs: {
+    concurrency: 1,
+    timeoutMs: 120000,
+  },
+  security: {
+    authPath: "data/auth.json",
+    allowedOrigins: [],
+    maxBodyBytes: 1024 * 1024,
+    maxTextLength: 5000,
+    maxSegments: 200,
+  },
+};
+
+/**
+ * Load the server config.
+ *
+ * Values are layered: built-in defaults, then the JSON file named by
+ * TRANSLATOR_CONFIG (or ./config.json if present), then environment variables.
+ */
+export function loadConfig(env: NodeJS.ProcessEnv = process.env): ServerConfig {
+  const config: ServerConfig = {
+    ...DEFAULT_CONFIG,
+    providers: { ...DEFAULT_CONFIG.providers },
+    cache: { ...DEFAULT_CONFIG.cache },
+    memory: { ...DEFAULT_CONFIG.memory },
+    glossaries: { ...DEFAULT_CONFIG.glossaries },
+    ocr: { ...DEFAULT_CONFIG.ocr },
+    render: { ...DEFAULT_CONFIG.render },
+    quality: { ...DEFAULT_CONFIG.quality },
+    profiles: { ...DEFAULT_CONFIG.profiles },
+    jobs: { ...DEFAULT_CONFIG.jobs },
+    security: { ...DEFAULT_CONFIG.security },
+  };
+
+  const configPath = path.resolve(env.TRANSLATOR_CONFIG || "config.json");
+  if (fs.existsSync(configPath)) {
+    const fileConfig = JSON.parse(fs.readFileSync(configPath, "utf8")) as Partial<ServerConfig>;
+    if (fileConfig.port !== undefined) config.port = fileConfig.port;
+    if (fileConfig.defaultProvider) config.defaultProvider = fileConfig.defaultProvider;
+    if (fileConfig.providers) config.providers = { ...fileConfig.providers };
+    if (fileConfig.cache) config.cache = { ...config.cache, ...fileConfig.cache };
+    if (fileConfig.memory) config.memory = { ...config.memory, ...fileConfig.memory };
+    if (fileConfig.glossaries) config.glossaries = { ...config.glossaries, ...fileConfig.glossaries };
+    if (fileConfig.ocr) config.ocr = { ...config.ocr, ...fileConfig.ocr };
+    if (fileConfig.render) config.render = { ...config.render, ...fileConfig.render };
+    if (fileConfig.quality) config.quality = { ...config.quality, ...fileConfig.quality };
+    if (fileConfig.profiles) config.profiles = { ...config.profiles, ...fileConfig.profiles };
+    if (fileConfig.jobs) config.jobs = { ...config.jobs, ...fileConfig.jobs };
+    if (fileConfig.security) config.security = { ...config.security, ...fileConfig.security };
+    console.log(`Loaded config from ${configPath}`);
+  } else if (env.TRANSLATOR_CONFIG) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  applyEnvOverrides(config, env);
+  validateConfig(config);
+  return config;
+}
+
+function applyEnvOverrides(config: ServerConfig, env: NodeJS.ProcessEnv): void {
+  if (env.PORT) config.port = Number(env.PORT);
+  if (env.TRANSLATION_PROVIDER) config.defaultProvider = env.TRANSLATION_PROVIDER;
+  if (env.TRANSLATION_CACHE) config.cache.enabled = env.TRANSLATION_CACHE !== "off";
+  if (env.TRANSLATION_CACHE_PATH) config.cache.path = env.TRANSLATION_CACHE_PATH;
+  if (env.TRANSLATION_MEMORY) config.memory.enabled = env.TRANSLATION_MEMORY !== "off";
+  if (env.TRANSLATION_MEMORY_PATH) config.memory.path = env.TRANSLATION_MEMORY_PATH;
+  if (env.GLOSSARY_PATH) config.glossaries.path = env.GLOSSARY_PATH;
+  if (env.OCR_LANG_PATH) config.ocr.langPath = env.OCR_LANG_PATH;
+  if (env.OCR_CACHE_PATH) config.ocr.cachePath = env.OCR_CACHE_PATH;
+  if (env.RENDER_FONTS_DIR) config.render.fontsDir = env.RENDER_FONTS_DIR;
+  if (env.RENDER_DEFAULT_FONT) config.render.defaultFont = env.RENDER_DEFAULT_FONT;
+  if (env.QUALITY_THRESHOLD) config.quality.threshold = Number(env.QUALITY_THRESHOLD);
+  if (env.PROFILE_DIR) config.profiles.customDir = env.PROFILE_DIR;
+  if (env.DEFAULT_PROFILE) config.profiles.defaultProfile = env.DEFAULT_PROFILE;
+  if (env.TRANSLATION_CONCURRENCY) config.jobs.concurrency = Number(env.TRANSLATION_CONCURRENCY);
+  if (env.TRANSLATION_TIMEOUT_MS) config.jobs.timeoutMs = Number(env.TRANSLATION_TIMEOUT_MS);
+  if (env.TRANSLATOR_TOKEN) config.security.token = env.TRANSLATOR_TOKEN;
+  if (env.ALLOWED_ORIGINS) config.security.allowedOrigins = env.ALLOWED_ORIGINS.split(",").map((o) => o.trim());
+
+  if (env.OLLAMA_HOST || env.OLLAMA_MODEL) {
+    const existing = config.providers.ollama;
+    const base = existing?.kind === "ollama" ? existing : { kind: "ollama" as const, model: "aya:8b" };
+    config.providers.ollama = {
+      ...base,
+      ...(env.OLLAMA_HOST && { host: env.OLLAMA_HOST }),
+      ...(env.OLLAMA_MODEL && { model: env.OLLAMA_MODEL }),
+    };
+  }
+
+  if (env.OPENAI_BASE_URL) {
+    const existing = config.providers.openai;
+    const base = existing?.kind === "openai" ? existing : undefined;
+    config.providers.openai = {
+      kind: "openai",
+      temperature: base?.temperature,
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY || base?.apiKey,
+      model: env.OPENAI_MODEL || base?.model || "default",
+    };
+  }
+
+  if (env.LIBRETRANSLATE_URL) {
+    const existing = config.providers.libretranslate;
+    const base = existing?.kind === "libretranslate" ? existing : undefined;
+    config.providers.libretranslate = {
+      kind: "libretranslate",
+      url: env.LIBRETRANSLATE_URL,
+      apiKey: env.LIBRETRANSLATE_API_KEY || base?.apiKey,
+    };
+  }
+}
+
+function validateConfig(config: ServerConfig): void {
+  if (!Number.isInteger(config.port) || config.port <= 0) {
+    throw new Error(`Invalid port: ${config.port}`);
+  }
+
+  if (!Number.isInteger(config.jobs.concurrency) || config.jobs.concurrency < 1) {
+    throw new Error(`Invalid jobs.concurrency: ${config.jobs.concurrency}`);
+  }
+  if (!Number.isFinite(config.jobs.timeoutMs) || config.jobs.timeoutMs < 0) {
+    throw new Error(`Invalid jobs.timeoutMs: ${config.jobs.timeoutMs}`);
+  }
+
+  const { threshold } = config.quality;
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid quality.threshold: ${threshold}`);
+  }
+
+  for (const [name, provider] of Object.entries(config.providers)) {
+    switch (provider.kind) {
+      case "ollama":
+        if (!provider.model) throw new Error(`Provider "${name}" needs a model`);
+        break;
+      case "openai":
+        if (!provider.baseUrl || !provider.model) {
+          throw new Error(`Provider "${name}" needs baseUrl and model`);
+        }
+        break;
+      case "libretranslate":
+        if (!provider.url) throw new Error(`Provider "${name}" needs a url`);
+        break;
+      default:
+        throw new Error(`Provider "${name}" has unknown kind "${(provider as { kind: string }).kind}"`);
+    }
+  }
+
+  const { maxBodyBytes, maxTextLength, maxSegments } = config.security;
+  for (const [key, value] of Object.entries({ maxBodyBytes, maxTextLength, maxSegments })) {
+    if (!Number.isInteger(value) || value <= 0) throw new Error(`Invalid security.${key}: ${value}`);
+  }
+  if (config.security.token !== undefined && config.security.token.length < 16) {
+    throw new Error("security.token must be at least 16 characters");
+  }
+
+  if (!config.providers[config.defaultProvider]) {
+    throw new Error(`Default provider "${config.defaultProvider}" is not configured`);
+  }
+}
@@ -0,0 +1,326 @@
+import { XMLParser } from "fast-xml-parser";
+import type { MemoryEntry, MemoryInput } from "./memory.js";
+
+/**
+ * TMX 1.4 and XLIFF 1.2/2.0 serialization of the translation memory
+ */
+
+export type ExchangeFormat = "tmx" | "xliff12" | "xliff20";
+
+export const EXCHANGE_FORMATS: ExchangeFormat[] = ["tmx", "xliff12", "xliff20"];
+
+export type ImportedEntry = Omit<MemoryInput, "origin">;
+
+const TOOL_NAME = "image-text-auto-translator";
+const TOOL_VERSION = "1.0.0";
+
+const XML_ESCAPES: Record<string, string> = {
+  "<": "&lt;",
+  ">": "&gt;",
+  "&": "&amp;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+function escapeXml(text: string): string {
+  // Control characters are not allowed anywhere in XML 1.0
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[<>&"']/g, (c) => XML_ESCAPES[c]);
+}
+
+/** BCP 47 has "und" for an undetermined language; the memory uses "auto" */
+function toXmlLang(lang: string): string {
+  return lang === "auto" ? "und" : lang;
+}
+
+function fromXmlLang(lang: string | undefined): string {
+  return !lang || lang === "und" || lang === "*all*" ? "auto" : lang;
+}
+
+function tmxDate(iso: string): string {
+  return iso.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+function parseTmxDate(value: string | undefined): string | undefined {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value ?? "");
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : undefined;
+}
+
+function groupByLanguagePair(entries: MemoryEntry[]): Map<string, MemoryEntry[]> {
+  const pairs = new Map<string, MemoryEntry[]>();
+  for (const entry of entries) {
+    const pair = `${entry.sourceLang}\n${entry.targetLang}`;
+    pairs.set(pair, [...(pairs.get(pair) ?? []), entry]);
+  }
+  return pairs;
+}
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+export function toTmx(entries: MemoryEntry[]): string {
+  const units = entries.map((e) => {
+    const props = [
+      `      <prop type="x-origin">${e.origin}</prop>`,
+      e.model && `      <prop type="x-model">${escapeXml(e.model)}</prop>`,
+      e.pageUrl && `      <prop type="x-page-url">${escapeXml(e.pageUrl)}</prop>`,
+    ].filter(Boolean);
+
+    return `    <tu tuid="${e.id}" srclang="${escapeXml(toXmlLang(e.sourceLang))}" creationdate="${tmxDate(e.createdAt)}">
+${props.join("\n")}
+      <tuv xml:lang="${escapeXml(toXmlLang(e.sourceLang))}"><seg>${escapeXml(e.source)}</seg></tuv>
+      <tuv xml:lang="${escapeXml(e.targetLang)}"><seg>${escapeXml(e.target)}</seg></tuv>
+    </tu>`;
+  });
+
+  return XML_DECLARATION + `<tmx version="1.4">
+  <header creationtool="${TOOL_NAME}" creationtoolversion="${TOOL_VERSION}" segtype="block" o-tmf="jsonl" adminlang="en" srclang="*all*" datatype="plaintext"/>
+  <body>
+${units.join("\n")}
+  </body>
+</tmx>
+`;
+}
+
+/**
+ * XLIFF 1.2, one <file> per language pair. Model output is marked
+ * needs-review-translation so CAT tools show it for review.
+ */
+export function toXliff12(entries: MemoryEntry[]): string {
+  const files = Array.from(groupByLanguagePair(entries).values(), (group) => {
+    const { sourceLang, targetLang } = group[0];
+    const units = group.map((e) => {
+      const state = e.origin === "import" ? "final" : "needs-review-translation";
+      const notes = [
+        e.model && `        <note from="model">${escapeXml(e.model)}</note>`,
+        e.pageUrl && `        <note from="page-url">${escapeXml(e.pageUrl)}</note>`,
+      ].filter(Boolean);
+
+      return `      <trans-unit id="${e.id}">
+        <source>${escapeXml(e.source)}</source>
+        <target state="${state}">${escapeXml(e.target)}</target>${notes.length ? "\n" + notes.join("\n") : ""}
+      </trans-unit>`;
+    });
+
+    return `  <file original="${TOOL_NAME}" source-language="${escapeXml(toXmlLang(sourceLang))}" target-language="${escapeXml(targetLang)}" datatype="plaintext">
+    <header><tool tool-id="${TOOL_NAME}" tool-name="${TOOL_NAME}" tool-version="${TOOL_VERSION}"/></header>
+    <body>
+${units.join("\n")}
+    </body>
+  </file>`;
+  });
+
+  return XML_DECLARATION + `<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+${files.join("\n")}
+</xliff>
+`;
+}
+
+/**
+ * XLIFF 2.0. A document has a single language pair, so this throws when
+ * the entries span several.
+ */
+export function toXliff20(entries: MemoryEntry[]): string {
+  const pairs = groupByLanguagePair(entries);
+  if (pairs.size > 1) {
+    throw new Error("XLIFF 2.0 holds one language pair; filter the export with ?sourceLang and ?targetLang");
+  }
+  const sourceLang = entries[0]?.sourceLang ?? "auto";
+  const targetLang = entries[0]?.targetLang ?? "und";
+
+  const units = entries.map((e) => {
+    const state = e.origin === "import" ? "final" : "translated";
+    const notes = [
+      e.model && `<note category="model">${escapeXml(e.model)}</note>`,
+      e.pageUrl && `<note category="page-url">${escapeXml(e.pageUrl)}</note>`,
+    ].filter(Boolean);
+
+    return `    <unit id="${e.id}">${notes.length ? `\n      <notes>${notes.join("")}</notes>` : ""}
+      <segment state="${state}">
+        <source>${escapeXml(e.source)}</source>
+        <target>${escapeXml(e.target)}</target>
+      </segment>
+    </unit>`;
+  });
+
+  return XML_DECLARATION + `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(toXmlLang(sourceLang))}" trgLang="${escapeXml(targetLang)}">
+  <file id="${TOOL_NAME}">
+${units.join("\n")}
+  </file>
+</xliff>
+`;
+}
+
+export function serializeMemory(entries: MemoryEntry[], format: ExchangeFormat): string {
+  switch (format) {
+    case "tmx":
+      return toTmx(entries);
+    case "xliff12":
+      return toXliff12(entries);
+    case "xliff20":
+      return toXliff20(entries);
+  }
+}
+
+// ============================================
+// Import
+// ============================================
+
+type XmlNode = Record<string, unknown>;
+
+// Elements whose content is native markup from the original document, not text
+const NATIVE_CODE = /<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/g;
+
+const ENTITIES: Record<string, string> = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * Plain text of a <seg>, <source> or <target>: inline markup is dropped
+ * (keeping the text of formatting elements) and entities are decoded
+ */
+function inlineText(raw: string): string {
+  return raw
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text: string) => escapeXml(text))
+    .replace(NATIVE_CODE, "")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name: string) => {
+      if (name[0] === "#") {
+        const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[name] ?? match;
+    })
+    .trim();
+}
+
+function textOf(node: unknown): string {
+  if (typeof node === "string") return inlineText(node);
+  if (node && typeof node === "object" && typeof (node as XmlNode)["#text"] === "string") {
+    return inlineText((node as XmlNode)["#text"] as string);
+  }
+  return "";
+}
+
+function attr(node: unknown, name: string): string | undefined {
+  const value = node && typeof node === "object" ? (node as XmlNode)[`@${name}`] : undefined;
+  return typeof value === "string" ? value : undefined;
+}
+
+function asArray(value: unknown): XmlNode[] {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value]) as XmlNode[];
+}
+
+/** Every element called `name` below `node`, at any depth */
+function findAll(node: unknown, name: string, found: XmlNode[] = []): XmlNode[] {
+  if (!node || typeof node !== "object") return found;
+  for (const [key, value] of Object.entries(node as XmlNode)) {
+    if (key.startsWith("@") || key === "#text") continue;
+    if (key === name) found.push(...asArray(value));
+    else for (const child of asArray(value)) findAll(child, name, found);
+  }
+  return found;
+}
+
+function primary(lang: string): string {
+  return lang.toLowerCase().split(/[-_]/)[0];
+}
+
+function parseTmx(tmx: XmlNode): ImportedEntry[] {
+  const headerLang = attr(tmx.header, "srclang");
+  const entries: ImportedEntry[] = [];
+
+  for (const tu of findAll(tmx.body, "tu")) {
+    const srclang = attr(tu, "srclang") ?? headerLang;
+    const tuvs = asArray(tu.tuv).map((tuv) => ({
+      lang: attr(tuv, "xml:lang") ?? attr(tuv, "lang") ?? "",
+      text: textOf(tuv.seg),
+    }));
+    const props = new Map(asArray(tu.prop).map((p) => [attr(p, "type"), textOf(p)]));
+
+    // With srclang="*all*" any variant can be the source; take the first
+    const source = tuvs.find((t) => srclang && srclang !== "*all*" && primary(t.lang) === primary(srclang)) ?? tuvs[0];
+    for (const target of tuvs) {
+      if (target === source || !source) continue;
+      entries.push({
+        source: source.text,
+        target: target.text,
+        sourceLang: fromXmlLang(source.lang),
+        targetLang: target.lang,
+        pageUrl: props.get("x-page-url"),
+        createdAt: parseTmxDate(attr(tu, "changedate") ?? attr(tu, "creationdate")),
+      });
+    }
+  }
+  return entries;
+}
+
+function parseXliff12(xliff: XmlNode): ImportedEntry[] {
+  const entries: ImportedEntry[] = [];
+
+  for (const file of asArray(xliff.file)) {
+    const sourceLang = fromXmlLang(attr(file, "source-language"));
+    for (const unit of findAll(file, "trans-unit")) {
+      const target = asArray(unit.target)[0];
+      const notes = new Map(asArray(unit.note).map((n) => [attr(n, "from"), textOf(n)]));
+      entries.push({
+        source: textOf(asArray(unit.source)[0]),
+        target: textOf(target),
+        sourceLang,
+        targetLang: attr(target, "xml:lang") ?? attr(file, "target-language") ?? "",
+        pageUrl: notes.get("page-url"),
+      });
+    }
+  }
+  return entries;
+}
+
+function parseXliff20(xliff: XmlNode): ImportedEntry[] {
+  const sourceLang = fromXmlLang(attr(xliff, "srcLang"));
+  const targetLang = attr(xliff, "trgLang") ?? "";
+  const entries: ImportedEntry[] = [];
+
+  for (const unit of findAll(xliff, "unit")) {
+    const notes = new Map(findAll(unit.notes, "note").map((n) => [attr(n, "category"), textOf(n)]));
+    for (const segment of findAll(unit, "segment")) {
+      entries.push({
+        source: textOf(asArray(segment.source)[0]),
+        target: textOf(asArray(segment.target)[0]),
+        sourceLang,
+        targetLang,
+        pageUrl: notes.get("page-url"),
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read translation pairs from a TMX or XLIFF 1.2/2.0 document.
+ * Units without a target are left out.
+ */
+export function parseExchangeFile(xml: string): { format: ExchangeFormat; entries: ImportedEntry[] } {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@",
+    parseTagValue: false,
+    parseAttributeValue: false,
+    // Segment content may hold inline markup; keep it raw and flatten it in inlineText()
+    stopNodes: ["*.seg", "*.source", "*.target"],
+  });
+  const document = parser.parse(xml) as XmlNode;
+
+  let result: { format: ExchangeFormat; entries: ImportedEntry[] };
+  if (document.tmx) {
+    result = { format: "tmx", entries: parseTmx(document.tmx as XmlNode) };
+  } else if (document.xliff) {
+    const xliff = document.xliff as XmlNode;
+    result = attr(xliff, "version")?.startsWith("2")
+      ? { format: "xliff20", entries: parseXliff20(xliff) }
+      : { format: "xliff12", entries: parseXliff12(xliff) };
+  } else {
+    throw new Error("not a TMX or XLIFF document");
+  }
+
+  result.entries = result.entries.filter((e) => e.source && e.target && e.targetLang);
+  return result;
+}
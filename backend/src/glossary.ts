@@ -0,0 +1,180 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { setAsideCorruptFile, writeFileAtomic } from "./storage.js";
+
+export interface GlossaryTerm {
+  source: string;      // term as it appears in the source text, e.g. "ルフィ"
+  target: string;      // preferred rendering, e.g. "Luffy"
+  notes?: string;      // e.g. "always keep the honorific -san"
+}
+
+export interface GlossaryEntry extends GlossaryTerm {
+  id: string;
+}
+
+export interface Glossary {
+  name: string;
+  description?: string;
+  entries: GlossaryEntry[];
+  updatedAt: string;
+}
+
+export interface GlossaryWarning {
+  source: string;
+  expected: string;
+}
+
+export interface GlossaryStore {
+  list(): Glossary[];
+  get(name: string): Glossary | undefined;
+  /** Create or replace a glossary */
+  put(name: string, data: { description?: string; entries?: GlossaryTerm[] }): Glossary;
+  delete(name: string): boolean;
+  addEntry(name: string, entry: GlossaryTerm): GlossaryEntry | undefined;
+  updateEntry(name: string, id: string, changes: Partial<GlossaryTerm>): GlossaryEntry | undefined;
+  removeEntry(name: string, id: string): boolean;
+}
+
+function normalizeTerm(text: string): string {
+  return text.normalize("NFKC").toLowerCase();
+}
+
+/**
+ * Entries whose source term occurs in any of the given texts.
+ * Only these are put into the prompt, which keeps it short for big glossaries.
+ */
+export function relevantEntries(glossary: Glossary, texts: string[]): GlossaryEntry[] {
+  const haystack = normalizeTerm(texts.join("\n"));
+  return glossary.entries.filter((e) => haystack.includes(normalizeTerm(e.source)));
+}
+
+/**
+ * Flag glossary terms found in the source whose preferred rendering
+ * is missing from the translation
+ */
+export function checkGlossary(sourceText: string, translated: string, entries: GlossaryTerm[]): GlossaryWarning[] {
+  const source = normalizeTerm(sourceText);
+  const output = normalizeTerm(translated);
+
+  return entries
+    .filter((e) => source.includes(normalizeTerm(e.source)) && !output.includes(normalizeTerm(e.target)))
+    .map((e) => ({ source: e.source, expected: e.target }));
+}
+
+/**
+ * Short stable hash of the entries used for a request, so cached
+ * translations are invalidated when the glossary changes
+ */
+export function glossaryFingerprint(entries: GlossaryTerm[]): string {
+  if (entries.length === 0) return "";
+  const material = entries.map((e) => [e.source, e.target, e.notes ?? ""]);
+  return crypto.createHash("sha256").update(JSON.stringify(material)).digest("hex").slice(0, 12);
+}
+
+function validateEntry(entry: Partial<GlossaryEntry>): void {
+  if (typeof entry.source !== "string" || !entry.source.trim()) {
+    throw new Error("entry source is required");
+  }
+  if (typeof entry.target !== "string" || !entry.target.trim()) {
+    throw new Error("entry target is required");
+  }
+}
+
+/**
+ * Glossaries persisted as a single JSON file, rewritten on every change
+ */
+export function createGlossaryStore(filePath: string): GlossaryStore {
+  const resolvedPath = path.resolve(filePath);
+  const glossaries = new Map<string, Glossary>();
+
+  if (fs.existsSync(resolvedPath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(resolvedPath, "utf8")) as Glossary[];
+      for (const glossary of saved) glossaries.set(glossary.name, glossary);
+      console.log(`Loaded ${glossaries.size} glossaries from ${resolvedPath}`);
+    } catch (err) {
+      const asidePath = setAsideCorruptFile(resolvedPath);
+      glossaries.clear();
+      console.warn(`Skipping corrupt glossary file ${resolvedPath} (moved to ${asidePath}):`, (err as Error).message);
+    }
+  }
+
+  function save(): void {
+    writeFileAtomic(resolvedPath, JSON.stringify(Array.from(glossaries.values()), null, 2));
+  }
+
+  function newEntry(entry: GlossaryTerm): GlossaryEntry {
+    validateEntry(entry);
+    return {
+      id: crypto.randomUUID(),
+      source: entry.source.trim(),
+      target: entry.target.trim(),
+      ...(entry.notes && { notes: entry.notes }),
+    };
+  }
+
+  return {
+    list: () => Array.from(glossaries.values()),
+
+    get: (name) => glossaries.get(name),
+
+    put(name, data) {
+      const glossary: Glossary = {
+        name,
+        description: data.description,
+        entries: (data.entries ?? []).map(newEntry),
+        updatedAt: new Date().toISOString(),
+      };
+      glossaries.set(name, glossary);
+      save();
+      return glossary;
+    },
+
+    delete(name) {
+      const existed = glossaries.delete(name);
+      if (existed) save();
+      return existed;
+    },
+
+    addEntry(name, entry) {
+      const glossary = glossaries.get(name);
+      if (!glossary) return undefined;
+
+      const created = newEntry(entry);
+      glossary.entries.push(created);
+      glossary.updatedAt = new Date().toISOString();
+      save();
+      return created;
+    },
+
+    updateEntry(name, id, changes) {
+      const entry = glossaries.get(name)?.entries.find((e) => e.id === id);
+      if (!entry) return undefined;
+
+      const { source, target, notes } = changes;
+      const updated: GlossaryEntry = {
+        ...entry,
+        ...(source !== undefined && { source: String(source).trim() }),
+        ...(target !== undefined && { target: String(target).trim() }),
+        ...(notes !== undefined && { notes }),
+      };
+      validateEntry(updated);
+      Object.assign(entry, updated);
+      glossaries.get(name)!.updatedAt = new Date().toISOString();
+      save();
+      return entry;
+    },
+
+    removeEntry(name, id) {
+      const glossary = glossaries.get(name);
+      const index = glossary?.entries.findIndex((e) => e.id === id) ?? -1;
+      if (!glossary || index === -1) return false;
+
+      glossary.entries.splice(index, 1);
+      glossary.updatedAt = new Date().toISOString();
+      save();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Image inputs shared by the OCR, chapter and render routes
+ */
+
+export const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+const FETCH_TIMEOUT_MS = 30_000;
+
+export function decodeDataUrl(dataUrl: string): Buffer | undefined {
+  const match = /^data:image\/[\w.+-]+;base64,(.+)$/s.exec(dataUrl);
+  return match ? Buffer.from(match[1], "base64") : undefined;
+}
+
+export function isHttpUrl(value: unknown): value is string {
+  if (typeof value !== "string") return false;
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Download an image. Pass the page it appears on as referer: many image
+ * hosts refuse hotlinked requests without one.
+ */
+export async function fetchImage(url: string, referer: string | undefined, signal?: AbortSignal): Promise<Buffer> {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  const res = await fetch(url, {
+    headers: referer ? { Referer: referer } : {},
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const type = res.headers.get("content-type") ?? "";
+  if (!type.startsWith("image/")) throw new Error(`not an image (${type || "no content type"})`);
+  if (Number(res.headers.get("content-length")) > MAX_IMAGE_BYTES) throw new Error("image is too large");
+
+  const body = Buffer.from(await res.arrayBuffer());
+  if (body.length > MAX_IMAGE_BYTES) throw new Error("image is too large");
+  return body;
+}
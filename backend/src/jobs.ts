@@ -0,0 +1,150 @@
+import { randomUUID } from "node:crypto";
+import type { JobsConfig } from "./config.js";
+
+export type JobState = "queued" | "running";
+
+/** Why a job's signal was aborted; available as `job.signal.reason` */
+export type JobAbortReason = "cancelled" | "timeout" | "disconnected";
+
+export interface JobInfo {
+  id: string;
+  kind: string;        // what created the job, e.g. "translate/batch"
+  provider: string;
+  state: JobState;
+  position: number;    // 1-based place in the queue, 0 once running
+  createdAt: string;
+  startedAt?: string;
+}
+
+export interface Job {
+  readonly id: string;
+  /** Aborted when the job is cancelled, times out or its client disconnects */
+  readonly signal: AbortSignal;
+  /**
+   * Wait for a free slot. onPosition is called with the queue position now and
+   * whenever it changes. Rejects if the job is aborted while still queued.
+   */
+  wait(onPosition?: (position: number) => void): Promise<void>;
+  abort(reason: JobAbortReason): void;
+  /** Release the job's slot. Safe to call more than once. */
+  finish(): void;
+}
+
+export interface JobQueue {
+  readonly concurrency: number;
+  create(kind: string, provider: string): Job;
+  get(id: string): JobInfo | undefined;
+  list(): JobInfo[];
+  cancel(id: string): boolean;
+}
+
+interface Entry {
+  info: JobInfo;
+  controller: AbortController;
+  start: () => void;
+  onPosition?: (position: number) => void;
+  timer?: NodeJS.Timeout;
+}
+
+/**
+ * FIFO queue limiting how many provider calls run at once.
+ * The timeout counts from the moment a job starts running, not while it waits.
+ */
+export function createJobQueue({ concurrency, timeoutMs }: JobsConfig): JobQueue {
+  const jobs = new Map<string, Entry>();
+  const waiting: Entry[] = [];
+  let running = 0;
+
+  function reportPositions(): void {
+    waiting.forEach((entry, i) => {
+      if (entry.info.position === i + 1) return;
+      entry.info.position = i + 1;
+      entry.onPosition?.(i + 1);
+    });
+  }
+
+  function startWaiting(): void {
+    while (running < concurrency && waiting.length > 0) {
+      const entry = waiting.shift()!;
+      running++;
+      entry.info.state = "running";
+      entry.info.position = 0;
+      entry.info.startedAt = new Date().toISOString();
+      if (timeoutMs > 0) {
+        entry.timer = setTimeout(() => entry.controller.abort("timeout" satisfies JobAbortReason), timeoutMs);
+      }
+      entry.start();
+    }
+    reportPositions();
+  }
+
+  function remove(entry: Entry): void {
+    if (!jobs.delete(entry.info.id)) return;
+    clearTimeout(entry.timer);
+
+    if (entry.info.state === "running") {
+      running--;
+    } else {
+      waiting.splice(waiting.indexOf(entry), 1);
+    }
+    startWaiting();
+  }
+
+  return {
+    concurrency,
+
+    create(kind, provider) {
+      const controller = new AbortController();
+      const info: JobInfo = {
+        id: randomUUID(),
+        kind,
+        provider,
+        state: "queued",
+        position: waiting.length + 1,
+        createdAt: new Date().toISOString(),
+      };
+
+      let start!: () => void;
+      const started = new Promise<void>((resolve, reject) => {
+        start = resolve;
+        controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+      });
+      // Rejections are surfaced through wait(); avoid unhandled ones for jobs nobody waits on
+      started.catch(() => {});
+
+      const entry: Entry = { info, controller, start };
+      jobs.set(info.id, entry);
+      waiting.push(entry);
+
+      // A job cancelled while queued gives up its place straight away
+      controller.signal.addEventListener("abort", () => {
+        if (info.state === "queued") remove(entry);
+      }, { once: true });
+
+      startWaiting();
+
+      return {
+        id: info.id,
+        signal: controller.signal,
+        wait(onPosition) {
+          entry.onPosition = onPosition;
+          if (info.state === "queued") onPosition?.(info.position);
+          return started;
+        },
+        abort: (reason) => controller.abort(reason),
+        finish: () => remove(entry),
+      };
+    },
+
+    get: (id) => jobs.get(id)?.info,
+
+    list: () => Array.from(jobs.values(), (entry) => entry.info),
+
+    cancel(id) {
+      const entry = jobs.get(id);
+      if (!entry) return false;
+      entry.controller.abort("cancelled" satisfies JobAbortReason);
+      return true;
+    },
+  };
+}
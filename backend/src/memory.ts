@@ -0,0 +1,209 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { normalizeSourceText } from "./cache.js";
+import { setAsideCorruptFile, writeFileAtomic } from "./storage.js";
+
+/**
+ * "model" entries are recorded as the server translates; "import" entries come
+ * from TMX/XLIFF files (typically reviewed by a person) and are used as exact matches.
+ */
+export type MemoryOrigin = "model" | "import";
+
+export interface MemoryEntry {
+  id: string;
+  source: string;
+  target: string;
+  sourceLang: string;     // "auto" when neither the client nor the model named it
+  targetLang: string;
+  origin: MemoryOrigin;
+  model?: string;         // "<provider kind>:<model>", for model output
+  pageUrl?: string;
+  createdAt: string;
+}
+
+export type MemoryInput = Omit<MemoryEntry, "id" | "createdAt"> & { createdAt?: string };
+
+export interface MemoryFilter {
+  sourceLang?: string;
+  targetLang?: string;
+  origin?: MemoryOrigin;
+}
+
+export interface MemoryStats {
+  enabled: boolean;
+  path: string;
+  entries: number;
+  imported: number;
+}
+
+export interface TranslationMemory {
+  /** Imported translation of exactly this text, if there is one */
+  lookup(text: string, sourceLang: string | undefined, targetLang: string): MemoryEntry | undefined;
+  record(entry: Omit<MemoryInput, "origin">): void;
+  /** Add imported entries, replacing earlier imports of the same text. Returns how many were added. */
+  import(entries: Omit<MemoryInput, "origin">[]): number;
+  entries(filter?: MemoryFilter): MemoryEntry[];
+  /** Remove matching entries (all of them without a filter). Returns how many were removed. */
+  purge(filter?: MemoryFilter): number;
+  stats(): MemoryStats;
+}
+
+/** "en-US" and "en" are the same language for matching purposes */
+function primaryLanguage(lang: string): string {
+  return lang.toLowerCase().split(/[-_]/)[0];
+}
+
+function entryId(entry: MemoryInput): string {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([
+      normalizeSourceText(entry.source),
+      entry.sourceLang,
+      entry.targetLang,
+      entry.origin,
+      entry.model ?? "",
+    ]))
+    .digest("hex");
+}
+
+function lookupKey(text: string, targetLang: string): string {
+  return `${primaryLanguage(targetLang)}\n${normalizeSourceText(text)}`;
+}
+
+function matchesFilter(entry: MemoryEntry, filter: MemoryFilter = {}): boolean {
+  return (!filter.sourceLang || primaryLanguage(entry.sourceLang) === primaryLanguage(filter.sourceLang)) &&
+    (!filter.targetLang || primaryLanguage(entry.targetLang) === primaryLanguage(filter.targetLang)) &&
+    (!filter.origin || entry.origin === filter.origin);
+}
+
+/**
+ * Translation memory backed by a JSON-lines file, like the translation cache.
+ *
+ * Unlike the cache it is keyed by source text and languages only, so it
+ * survives model and prompt changes and can be shared as TMX or XLIFF.
+ */
+export function createTranslationMemory(filePath: string, enabled = true): TranslationMemory {
+  const resolvedPath = path.resolve(filePath);
+  const store = new Map<string, MemoryEntry>();
+  // Imported entries by target language and normalized source text
+  const imported = new Map<string, MemoryEntry>();
+
+  function index(entry: MemoryEntry): void {
+    store.set(entry.id, entry);
+    if (entry.origin === "import") imported.set(lookupKey(entry.source, entry.targetLang), entry);
+  }
+
+  // Lines in the file that a later line with the same id superseded
+  let superseded = 0;
+  let corrupt = 0;
+  if (enabled && fs.existsSync(resolvedPath)) {
+    const lines = fs.readFileSync(resolvedPath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line) as MemoryEntry;
+        if (store.has(entry.id)) superseded++;
+        index(entry);
+      } catch {
+        corrupt++;
+        console.warn("Skipping corrupt translation memory line in", resolvedPath);
+      }
+    }
+    console.log(`Loaded ${store.size} translation memory entries from ${resolvedPath}`);
+  }
+
+  function toEntry(input: MemoryInput): MemoryEntry {
+    return {
+      id: entryId(input),
+      source: input.source.trim(),
+      target: input.target.trim(),
+      sourceLang: input.sourceLang || "auto",
+      targetLang: input.targetLang,
+      origin: input.origin,
+      ...(input.model && { model: input.model }),
+      ...(input.pageUrl && { pageUrl: input.pageUrl }),
+      createdAt: input.createdAt ?? new Date().toISOString(),
+    };
+  }
+
+  function append(entries: MemoryEntry[]): void {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.appendFileSync(resolvedPath, entries.map((e) => JSON.stringify(e) + "\n").join(""));
+  }
+
+  function rewriteFile(): void {
+    // Rewriting drops corrupt lines for good, so keep the original file the first time
+    if (corrupt > 0) {
+      const asidePath = setAsideCorruptFile(resolvedPath);
+      console.warn(`Kept the translation memory with ${corrupt} corrupt lines as ${asidePath}`);
+      corrupt = 0;
+    }
+    writeFileAtomic(resolvedPath, Array.from(store.values()).map((e) => JSON.stringify(e) + "\n").join(""));
+  }
+
+  if (superseded > 0) {
+    console.log(`Compacting ${resolvedPath}: dropping ${superseded} superseded entries`);
+    rewriteFile();
+  }
+
+  return {
+    lookup(text, sourceLang, targetLang) {
+      if (!enabled) return undefined;
+      const entry = imported.get(lookupKey(text, targetLang));
+      if (!entry) return undefined;
+
+      // Only a known, different source language rules the match out
+      const known = (lang?: string) => lang && lang !== "auto";
+      if (known(sourceLang) && known(entry.sourceLang) &&
+          primaryLanguage(sourceLang!) !== primaryLanguage(entry.sourceLang)) {
+        return undefined;
+      }
+      return entry;
+    },
+
+    record(input) {
+      if (!enabled || !input.source.trim() || !input.target.trim()) return;
+      const entry = toEntry({ ...input, origin: "model" });
+      // The same text translated the same way again adds nothing to the file
+      if (store.get(entry.id)?.target === entry.target) return;
+      index(entry);
+      append([entry]);
+    },
+
+    import(inputs) {
+      if (!enabled) return 0;
+      const entries = inputs
+        .filter((input) => input.source.trim() && input.target.trim() && input.targetLang)
+        .map((input) => toEntry({ ...input, origin: "import" }));
+      entries.forEach(index);
+      if (entries.length > 0) append(entries);
+      return entries.length;
+    },
+
+    entries(filter) {
+      return Array.from(store.values()).filter((e) => matchesFilter(e, filter));
+    },
+
+    purge(filter) {
+      let removed = 0;
+      for (const [id, entry] of store) {
+        if (matchesFilter(entry, filter)) {
+          store.delete(id);
+          removed++;
+        }
+      }
+      if (removed > 0) {
+        imported.clear();
+        for (const entry of store.values()) index(entry);
+        rewriteFile();
+      }
+      return removed;
+    },
+
+    stats() {
+      const importedCount = Array.from(store.values()).filter((e) => e.origin === "import").length;
+      return { enabled, path: resolvedPath, entries: store.size, imported: importedCount };
+    },
+  };
+}
@@ -0,0 +1,172 @@
+import fs from "node:fs";
+import path from "node:path";
+import Tesseract from "tesseract.js";
+import { orderColumns } from "./readingOrder.js";
+
+export interface OcrBbox {
+  x0: number;
+  y0: number;
+  x1: number;
+  y1: number;
+}
+
+export interface OcrWord {
+  text: string;
+  confidence: number;
+  bbox: OcrBbox;
+}
+
+export interface OcrLine extends OcrWord {
+  words: OcrWord[];
+}
+
+export interface OcrParagraph extends OcrWord {
+  lines: OcrLine[];
+}
+
+/**
+ * Same shape the extension reads from in-page Tesseract results
+ */
+export interface OcrResult {
+  text: string;
+  confidence: number;
+  paragraphs: OcrParagraph[];
+  lines: OcrLine[];
+  language: string;
+}
+
+/** A traineddata file the server can hand out, e.g. to the extension's language pack manager */
+export interface OcrLanguageFile {
+  lang: string;
+  bytes: number;
+  gzip: boolean;
+  modifiedAt: string;
+}
+
+export interface OcrService {
+  recognize(image: Buffer, language: string): Promise<OcrResult>;
+  /** Traineddata files in the cache directory and a local langPath, one per language */
+  languages(): OcrLanguageFile[];
+  /** Absolute path of a language's traineddata file, if the server has one */
+  languageFile(lang: string): string | undefined;
+}
+
+export interface OcrOptions {
+  langPath?: string;   // where to load traineddata from (URL or directory); tesseract.js default CDN if unset
+  cachePath: string;   // where downloaded traineddata is cached
+}
+
+// "eng", "jpn_vert", "chi_sim+eng", ...
+const LANGUAGE_PATTERN = /^[a-z_]+(\+[a-z_]+)*$/;
+
+export function isValidOcrLanguage(language: string): boolean {
+  return LANGUAGE_PATTERN.test(language);
+}
+
+// "jpn.traineddata" as cached by tesseract.js, or "jpn.traineddata.gz" as published
+const TRAINEDDATA_PATTERN = /^([a-z_]+)\.traineddata(\.gz)?$/;
+
+function toWord({ text, confidence, bbox }: OcrWord): OcrWord {
+  return { text, confidence, bbox };
+}
+
+/**
+ * Flatten Tesseract's block tree into the paragraphs/lines lists the extension uses.
+ * Vertical columns are put in reading order, and the text rebuilt to match.
+ */
+function toOcrResult(page: Tesseract.Page, language: string): OcrResult {
+  const paragraphs: OcrParagraph[] = [];
+  const lines: OcrLine[] = [];
+  let reordered = false;
+
+  for (const block of page.blocks ?? []) {
+    for (const paragraph of block.paragraphs) {
+      const tesseractLines = paragraph.lines.map((line) => ({
+        ...toWord(line),
+        words: line.words.map(toWord),
+      }));
+      const paragraphLines = orderColumns(tesseractLines);
+      const columns = paragraphLines !== tesseractLines;
+      reordered ||= columns;
+
+      paragraphs.push({
+        ...toWord(paragraph),
+        ...(columns && { text: paragraphLines.map((l) => l.text).join("") }),
+        lines: paragraphLines,
+      });
+      lines.push(...paragraphLines);
+    }
+  }
+
+  const text = reordered ? paragraphs.map((p) => p.text).join("\n") : page.text;
+  return { text, confidence: page.confidence, paragraphs, lines, language };
+}
+
+/**
+ * Node-side Tesseract. One worker is kept per language so language data is
+ * loaded once instead of on every request.
+ */
+export function createOcrService(options: OcrOptions): OcrService {
+  const workers = new Map<string, Promise<Tesseract.Worker>>();
+
+  // The cache first: that is where languages fetched from the CDN end up
+  const languageDirs = [options.cachePath];
+  if (options.langPath && !/^https?:/i.test(options.langPath)) languageDirs.push(options.langPath);
+
+  function findLanguageFiles(): Map<string, OcrLanguageFile & { path: string }> {
+    const files = new Map<string, OcrLanguageFile & { path: string }>();
+    for (const dir of languageDirs) {
+      if (!fs.existsSync(dir)) continue;
+      for (const file of fs.readdirSync(dir)) {
+        const match = TRAINEDDATA_PATTERN.exec(file);
+        if (!match || files.has(match[1]!)) continue;
+        const filePath = path.resolve(dir, file);
+        const stat = fs.statSync(filePath);
+        files.set(match[1]!, {
+          lang: match[1]!,
+          bytes: stat.size,
+          gzip: Boolean(match[2]),
+          modifiedAt: stat.mtime.toISOString(),
+          path: filePath,
+        });
+      }
+    }
+    return files;
+  }
+
+  function getWorker(language: string): Promise<Tesseract.Worker> {
+    let worker = workers.get(language);
+    if (!worker) {
+      console.log(`Starting OCR worker for ${language}`);
+      worker = new Promise<Tesseract.Worker>((resolve, reject) => {
+        Tesseract.createWorker(language, 1, {
+          cachePath: options.cachePath,
+          ...(options.langPath && { langPath: options.langPath }),
+          // Without a handler tesseract.js rethrows worker errors and takes the server down.
+          // Rejecting here also covers language data that fails to load, which otherwise
+          // leaves createWorker() pending forever; once started this is a no-op.
+          errorHandler: (err: unknown) => {
+            console.error(`OCR worker error (${language}):`, err);
+            reject(err instanceof Error ? err : new Error(String(err)));
+          },
+        }).then(resolve, reject);
+      });
+      // Do not keep a failed start-up around (e.g. missing language data)
+      worker.catch(() => workers.delete(language));
+      workers.set(language, worker);
+    }
+    return worker;
+  }
+
+  return {
+    async recognize(image, language) {
+      const worker = await getWorker(language);
+      const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+      return toOcrResult(data, language);
+    },
+
+    languages: () => Array.from(findLanguageFiles().values(), ({ path: _path, ...file }) => file),
+
+    languageFile: (lang) => findLanguageFiles().get(lang)?.path,
+  };
+}
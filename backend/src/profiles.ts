@@ -0,0 +1,148 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * A named prompt template for one kind of content.
+ *
+ * Templates use {{targetLang}}, {{text}} (user) and {{segments}} (batchUser).
+ */
+export interface PromptProfile {
+  name: string;
+  label: string;
+  description?: string;
+  temperature?: number;
+  system: string;
+  user: string;
+  batchUser: string;
+  outputRules: string;
+  builtIn: boolean;      // shipped in backend/profiles; custom profiles live in the custom dir
+  version: string;       // content hash, used in cache keys
+}
+
+export type ProfileInput = Omit<PromptProfile, "name" | "builtIn" | "version">;
+
+export interface ProfileStore {
+  readonly defaultName: string;
+  list(): PromptProfile[];
+  get(name?: string): PromptProfile | undefined;
+  /** Create or replace a custom profile (shadows a built-in one of the same name) */
+  put(name: string, input: ProfileInput): PromptProfile;
+  /** Remove a custom profile. Built-in profiles cannot be removed. */
+  delete(name: string): boolean;
+}
+
+export interface ProfileOptions {
+  builtInDir: string;
+  customDir: string;
+  defaultProfile: string;
+}
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export function renderTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key: string) => values[key] ?? match);
+}
+
+/**
+ * Throws with a message suitable for a 400 response if the input is not a usable profile
+ */
+export function validateProfile(name: string, input: Partial<ProfileInput>): void {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error("profile name may only contain letters, digits, - and _");
+  }
+  for (const field of ["system", "user", "batchUser", "outputRules"] as const) {
+    if (typeof input[field] !== "string" || !input[field]!.trim()) {
+      throw new Error(`profile ${field} is required`);
+    }
+  }
+  if (!input.user!.includes("{{text}}")) {
+    throw new Error("profile user template must contain {{text}}");
+  }
+  if (!input.batchUser!.includes("{{segments}}")) {
+    throw new Error("profile batchUser template must contain {{segments}}");
+  }
+  if (input.temperature !== undefined &&
+      (typeof input.temperature !== "number" || input.temperature < 0 || input.temperature > 2)) {
+    throw new Error("profile temperature must be a number between 0 and 2");
+  }
+}
+
+function toProfile(name: string, input: ProfileInput, builtIn: boolean): PromptProfile {
+  const content = {
+    label: input.label || name,
+    description: input.description,
+    temperature: input.temperature,
+    system: input.system,
+    user: input.user,
+    batchUser: input.batchUser,
+    outputRules: input.outputRules,
+  };
+  const version = crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex").slice(0, 12);
+  return { name, ...content, builtIn, version };
+}
+
+function loadDir(dir: string, builtIn: boolean): Map<string, PromptProfile> {
+  const profiles = new Map<string, PromptProfile>();
+  if (!fs.existsSync(dir)) return profiles;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    const name = path.basename(file, ".json");
+    try {
+      const input = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")) as ProfileInput;
+      validateProfile(name, input);
+      profiles.set(name, toProfile(name, input, builtIn));
+    } catch (err) {
+      console.warn(`Skipping prompt profile ${path.join(dir, file)}:`, (err as Error).message);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Prompt profiles loaded from JSON files, one file per profile.
+ * Custom profiles are written to their own directory so built-in templates stay untouched.
+ */
+export function createProfileStore(options: ProfileOptions): ProfileStore {
+  const builtInDir = path.resolve(options.builtInDir);
+  const customDir = path.resolve(options.customDir);
+  const builtIn = loadDir(builtInDir, true);
+  const custom = loadDir(customDir, false);
+  console.log(`Loaded ${builtIn.size} built-in and ${custom.size} custom prompt profiles`);
+
+  const get = (name: string) => custom.get(name) ?? builtIn.get(name);
+
+  if (!get(options.defaultProfile)) {
+    throw new Error(`Default prompt profile "${options.defaultProfile}" not found in ${builtInDir} or ${customDir}`);
+  }
+
+  return {
+    defaultName: options.defaultProfile,
+
+    list() {
+      const names = new Set([...builtIn.keys(), ...custom.keys()]);
+      return Array.from(names, (name) => get(name)!);
+    },
+
+    get: (name) => get(name || options.defaultProfile),
+
+    put(name, input) {
+      validateProfile(name, input);
+      const profile = toProfile(name, input, false);
+      const { name: _name, builtIn: _builtIn, version: _version, ...stored } = profile;
+
+      fs.mkdirSync(customDir, { recursive: true });
+      fs.writeFileSync(path.join(customDir, `${name}.json`), JSON.stringify(stored, null, 2) + "\n");
+      custom.set(name, profile);
+      return profile;
+    },
+
+    delete(name) {
+      if (!custom.has(name)) return false;
+      fs.rmSync(path.join(customDir, `${name}.json`), { force: true });
+      custom.delete(name);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import type {
+  BatchTranslationRequest,
+  ChatMessage,
+  GlossaryTerm,
+  TranslationRequest,
+} from "./providers/types.js";
+import { renderTemplate, type PromptProfile } from "./profiles.js";
+
+/**
+ * Bump whenever the wrapper text below changes meaningfully, so cached
+ * translations from older prompts are not reused. Profile template changes
+ * are tracked separately through the profile version.
+ */
+export const PROMPT_VERSION = "v3";
+
+/**
+ * Cache-key component identifying the exact prompt used for a request
+ */
+export function promptVersionFor(profile: PromptProfile, structured = false): string {
+  return `${PROMPT_VERSION}/${profile.name}@${profile.version}${structured ? "+structured" : ""}`;
+}
+
+// Fields every structured reply carries besides the translation itself
+const STRUCTURED_FIELDS = `"detectedLang": "<ISO 639-1 code of the source text>", "type": "dialogue" | "narration" | "sfx" | "sign" | "ui", "notes": ["<translator note>"]`;
+
+const STRUCTURED_FIELD_RULES = `"type" classifies the source text: dialogue (spoken lines), narration (captions and narration boxes), sfx (sound effects), sign (signs, labels and notices in the scene), ui (buttons, menus and other interface text).
+"notes" holds short translator notes, only for puns, wordplay or cultural references the translation cannot carry; otherwise it is [].`;
+
+/**
+ * Build the chat messages used by the LLM-backed providers.
+ * In structured mode the model replies with JSON that also classifies the text.
+ */
+export function buildTranslationMessages(
+  { text, sourceLang, targetLang, glossary, profile }: TranslationRequest,
+  structured = false
+): ChatMessage[] {
+  const rules = renderTemplate(profile.outputRules, { targetLang });
+  const output = structured
+    ? `Only a JSON object of the form {"text": "<translation>", ${STRUCTURED_FIELDS}}.
+"text" follows these rules: ${rules}
+${STRUCTURED_FIELD_RULES}`
+    : rules;
+
+  return [
+    {
+      role: "system",
+      content: renderTemplate(profile.system, { targetLang }) + buildSourceSection(sourceLang) + buildGlossarySection(glossary) + `
+
+OUTPUT: ${output}`
+    },
+    {
+      role: "user",
+      content: renderTemplate(profile.user, { text, targetLang })
+    }
+  ];
+}
+
+/**
+ * Build chat messages that translate every segment of one page together,
+ * so names, pronouns and sentences split across bubbles stay consistent
+ */
+export function buildBatchTranslationMessages(
+  { segments, sourceLang, targetLang, glossary, profile }: BatchTranslationRequest,
+  structured = false
+): ChatMessage[] {
+  const input = JSON.stringify(
+    segments.map(({ id, text, sourceLang: lang }) => ({ id, text, ...(lang && { lang }) })),
+    null,
+    2
+  );
+  const mixed = segments.some((s) => s.sourceLang);
+  const entry = structured
+    ? `{"id": "<segment id>", "text": "<translation>", ${STRUCTURED_FIELDS}}`
+    : `{"id": "<segment id>", "text": "<translation>"}`;
+
+  return [
+    {
+      role: "system",
+      content: renderTemplate(profile.system, { targetLang }) + buildSourceSection(sourceLang) + (mixed ? `
+
+MIXED LANGUAGES: The page mixes languages. A segment with a "lang" field is in that language.` : "") + `
+
+SEGMENTS: Translate every segment on its own, but keep names, pronouns and terminology consistent across them. A sentence split across segments should stay split at the same place.` + buildGlossarySection(glossary) + `
+
+OUTPUT: Only a JSON object of the form {"translations": [${entry}]} with one entry per input segment, in the same order. Each "text" follows these rules: ${renderTemplate(profile.outputRules, { targetLang })}` + (structured ? `
+${STRUCTURED_FIELD_RULES}` : "")
+    },
+    {
+      role: "user",
+      content: renderTemplate(profile.batchUser, { segments: input, targetLang })
+    }
+  ];
+}
+
+function buildSourceSection(sourceLang?: string): string {
+  return sourceLang ? `
+
+SOURCE LANGUAGE: The text is in "${sourceLang}". OCR may have picked up stray characters in other scripts; ignore them.` : "";
+}
+
+function buildGlossarySection(glossary: GlossaryTerm[] = []): string {
+  if (glossary.length === 0) return "";
+
+  const lines = glossary.map((term) =>
+    `- ${term.source} → ${term.target}${term.notes ? ` (${term.notes})` : ""}`
+  );
+
+  return `
+
+GLOSSARY: Always render these names and terms exactly as given, even if another translation seems more natural:
+${lines.join("\n")}`;
+}
@@ -0,0 +1,211 @@
+import type { ProviderKind } from "../config.js";
+import { buildBatchTranslationMessages, buildTranslationMessages } from "../prompt.js";
+import {
+  SEGMENT_TYPES,
+  type ChatMessage,
+  type SegmentType,
+  type StructuredTranslation,
+  type TranslationProvider,
+} from "./types.js";
+
+export interface ChatOptions {
+  json?: boolean;        // ask the backend to constrain output to a JSON object
+  temperature?: number;  // from the prompt profile; overrides the provider's configured temperature
+  signal?: AbortSignal;
+}
+
+export type ChatFunction = (messages: ChatMessage[], options?: ChatOptions) => Promise<string>;
+
+/** Same as ChatFunction, but yields the reply as it is generated */
+export type ChatStreamFunction = (messages: ChatMessage[], options?: ChatOptions) => AsyncIterable<string>;
+
+/**
+ * Build a translation provider on top of a plain chat-completion function.
+ * Shared by every LLM-backed provider so prompts live in one place.
+ */
+export function createChatProvider(
+  name: string,
+  kind: ProviderKind,
+  model: string,
+  chat: ChatFunction,
+  chatStream: ChatStreamFunction,
+  listModels: TranslationProvider["listModels"]
+): TranslationProvider {
+  return {
+    name,
+    kind,
+    model,
+    listModels,
+
+    async translate(request) {
+      const content = await chat(buildTranslationMessages(request), {
+        temperature: request.profile.temperature,
+        signal: request.signal,
+      });
+      return content.trim();
+    },
+
+    async translateBatch(request) {
+      const content = await chat(buildBatchTranslationMessages(request), {
+        json: true,
+        temperature: request.profile.temperature,
+        signal: request.signal,
+      });
+      return parseBatchResponse(content);
+    },
+
+    async *translateStream(request) {
+      // Leading whitespace is dropped here; trailing whitespace is trimmed by the caller
+      let started = false;
+      const options = { temperature: request.profile.temperature, signal: request.signal };
+      for await (let chunk of chatStream(buildTranslationMessages(request), options)) {
+        if (!started) {
+          chunk = chunk.trimStart();
+          started = chunk.length > 0;
+        }
+        if (chunk) yield chunk;
+      }
+    },
+
+    async *translateBatchStream(request) {
+      const scan = createEntryScanner();
+      const options = { json: true, temperature: request.profile.temperature, signal: request.signal };
+      for await (const chunk of chatStream(buildBatchTranslationMessages(request), options)) {
+        for (const entry of scan(chunk)) {
+          if (entry.id === undefined || typeof entry.text !== "string") continue;
+          yield [String(entry.id), entry.text.trim()];
+        }
+      }
+    },
+
+    async translateStructured(request) {
+      const content = await chat(buildTranslationMessages(request, true), {
+        json: true,
+        temperature: request.profile.temperature,
+        signal: request.signal,
+      });
+      return parseStructuredTranslation(parseJsonObject(content));
+    },
+
+    async *translateBatchStructured(request) {
+      const scan = createEntryScanner();
+      const options = { json: true, temperature: request.profile.temperature, signal: request.signal };
+      for await (const chunk of chatStream(buildBatchTranslationMessages(request, true), options)) {
+        for (const entry of scan(chunk)) {
+          if (entry.id === undefined) continue;
+          try {
+            yield [String(entry.id), parseStructuredTranslation(entry)];
+          } catch {
+            // Invalid entry - the caller retranslates missing ids
+          }
+        }
+      }
+    },
+  };
+}
+
+type BatchEntry = Record<string, unknown>;
+
+/**
+ * Pull completed entry objects out of a `{"translations": [{...}, ...]}` reply
+ * while it is still being generated. Feed it chunks; it returns the entries
+ * each chunk completed.
+ */
+function createEntryScanner(): (chunk: string) => BatchEntry[] {
+  let buffer = "";
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let entryStart = -1;
+
+  return (chunk) => {
+    buffer += chunk;
+    const entries: BatchEntry[] = [];
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        // Entries are the objects directly inside the translations array
+        if (char === "{" && depth === 2) entryStart = position;
+        depth++;
+      } else if (char === "}" || char === "]") {
+        depth--;
+        if (char === "}" && depth === 2 && entryStart !== -1) {
+          try {
+            entries.push(JSON.parse(buffer.slice(entryStart, position + 1)) as BatchEntry);
+          } catch {
+            // Malformed entry - skip it, the caller retranslates missing ids
+          }
+          entryStart = -1;
+        }
+      }
+    }
+    return entries;
+  };
+}
+
+/**
+ * Parse the JSON object in a model reply.
+ * Models sometimes wrap JSON in prose or code fences, so only the outermost object is parsed.
+ */
+function parseJsonObject(content: string): unknown {
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("Response is not JSON");
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+
+/**
+ * Validate a structured reply (or batch entry). Throws when there is no translation;
+ * the optional fields are dropped when they are malformed.
+ */
+function parseStructuredTranslation(value: unknown): StructuredTranslation {
+  const reply = (value ?? {}) as Record<string, unknown>;
+  if (typeof reply.text !== "string" || !reply.text.trim()) {
+    throw new Error("Structured response has no text");
+  }
+
+  const type = typeof reply.type === "string" ? reply.type.toLowerCase() : undefined;
+  const notes = (Array.isArray(reply.notes) ? reply.notes : [reply.notes])
+    .filter((note): note is string => typeof note === "string" && note.trim() !== "")
+    .map((note) => note.trim());
+
+  return {
+    translated: reply.text.trim(),
+    ...(typeof reply.detectedLang === "string" && LANGUAGE_CODE.test(reply.detectedLang) && {
+      detectedLang: reply.detectedLang.toLowerCase(),
+    }),
+    ...(SEGMENT_TYPES.includes(type as SegmentType) && { segmentType: type as SegmentType }),
+    ...(notes.length > 0 && { notes }),
+  };
+}
+
+/**
+ * Pull `{ translations: [{ id, text }] }` out of a model reply
+ */
+function parseBatchResponse(content: string): Map<string, string> {
+  const parsed = parseJsonObject(content) as {
+    translations?: { id?: unknown; text?: unknown }[];
+  };
+
+  const result = new Map<string, string>();
+  for (const item of parsed.translations ?? []) {
+    if (item.id === undefined || typeof item.text !== "string") continue;
+    result.set(String(item.id), item.text.trim());
+  }
+  return result;
+}
@@ -0,0 +1,67 @@
+import type { TranslationProvider } from "./types.js";
+
+export type ProviderProblem = "unreachable" | "timeout" | "model_not_found";
+
+export interface ProviderHealth {
+  name: string;
+  kind: string;
+  model?: string;
+  reachable: boolean;
+  modelAvailable?: boolean;   // undefined for providers without a model (LibreTranslate)
+  problem?: ProviderProblem;
+  error?: string;
+  latencyMs: number;
+}
+
+/**
+ * Whether a configured model name is among the installed ones.
+ * Ollama reports "llama3:latest" for a model configured as "llama3".
+ */
+export function hasModel(models: string[], model: string): boolean {
+  return models.some((m) => m === model || m === `${model}:latest`);
+}
+
+/**
+ * fetch() reports connection failures as a bare "fetch failed" with the
+ * interesting part (ECONNREFUSED, ENOTFOUND, ...) in `cause`
+ */
+function describeError(err: unknown): string {
+  if (!(err instanceof Error)) return String(err);
+  const code = (err as Error & { cause?: { code?: string } }).cause?.code;
+  return code ? `${err.message} (${code})` : err.message;
+}
+
+/**
+ * Probe a provider by listing its models, classifying any failure
+ */
+export async function checkProviderHealth(
+  provider: TranslationProvider,
+  timeoutMs: number
+): Promise<ProviderHealth & { models: string[] }> {
+  const started = Date.now();
+  const base = { name: provider.name, kind: provider.kind, model: provider.model };
+
+  try {
+    const models = await provider.listModels(AbortSignal.timeout(timeoutMs));
+    const modelAvailable = provider.model ? hasModel(models, provider.model) : undefined;
+
+    return {
+      ...base,
+      reachable: true,
+      modelAvailable,
+      ...(modelAvailable === false && { problem: "model_not_found" as const }),
+      latencyMs: Date.now() - started,
+      models,
+    };
+  } catch (err) {
+    const timedOut = err instanceof Error && (err.name === "TimeoutError" || err.name === "AbortError");
+    return {
+      ...base,
+      reachable: false,
+      problem: timedOut ? "timeout" : "unreachable",
+      error: describeError(err),
+      latencyMs: Date.now() - started,
+      models: [],
+    };
+  }
+}
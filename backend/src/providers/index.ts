@@ -0,0 +1,193 @@
+import type { ProviderConfig, ServerConfig } from "../config.js";
+import { createLibreTranslateProvider } from "./libretranslate.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createOpenAIProvider } from "./openai.js";
+import type {
+  BatchTranslationRequest,
+  StructuredTranslation,
+  TranslationProvider,
+  TranslationRequest,
+  TranslationSegment,
+} from "./types.js";
+
+export { checkProviderHealth, type ProviderHealth } from "./health.js";
+export type {
+  BatchTranslationRequest,
+  SegmentType,
+  StructuredTranslation,
+  TranslationProvider,
+  TranslationRequest,
+  TranslationSegment,
+} from "./types.js";
+
+function createProvider(name: string, config: ProviderConfig): TranslationProvider {
+  switch (config.kind) {
+    case "ollama":
+      return createOllamaProvider(name, config);
+    case "openai":
+      return createOpenAIProvider(name, config);
+    case "libretranslate":
+      return createLibreTranslateProvider(name, config);
+  }
+}
+
+export interface ProviderRegistry {
+  readonly defaultName: string;
+  names(): string[];
+  /** Look up a provider by name, falling back to the default when no name is given */
+  get(name?: string): TranslationProvider | undefined;
+}
+
+export function createProviderRegistry(config: ServerConfig): ProviderRegistry {
+  const providers = new Map<string, TranslationProvider>();
+  for (const [name, providerConfig] of Object.entries(config.providers)) {
+    providers.set(name, createProvider(name, providerConfig));
+  }
+
+  return {
+    defaultName: config.defaultProvider,
+    names: () => Array.from(providers.keys()),
+    get: (name) => providers.get(name || config.defaultProvider),
+  };
+}
+
+/**
+ * The request for one segment of a batch, when segments are translated one by one
+ */
+function singleRequest(
+  { segments: _segments, ...options }: BatchTranslationRequest,
+  segment: TranslationSegment
+): TranslationRequest {
+  return { ...options, text: segment.text, sourceLang: segment.sourceLang ?? options.sourceLang };
+}
+
+/**
+ * Translate a batch of segments, using the provider's batch call when it has one.
+ * Segments the batch reply left out (or the whole batch, if it failed) are
+ * translated one at a time so callers always get a translation per id.
+ */
+export async function translateSegments(
+  provider: TranslationProvider,
+  request: BatchTranslationRequest
+): Promise<Map<string, string>> {
+  let translated = new Map<string, string>();
+
+  if (provider.translateBatch && request.segments.length > 1) {
+    try {
+      translated = await provider.translateBatch(request);
+    } catch (err) {
+      if (request.signal?.aborted) throw err;
+      console.warn(`Batch translation failed (${provider.name}), falling back to single segments:`, err);
+    }
+  }
+
+  for (const segment of request.segments) {
+    if (translated.get(segment.id)) continue;
+    const text = await provider.translate(singleRequest(request, segment));
+    translated.set(segment.id, text);
+  }
+
+  return translated;
+}
+
+/**
+ * Stream a translation, falling back to a single chunk for providers
+ * that cannot stream
+ */
+export async function* streamTranslation(
+  provider: TranslationProvider,
+  request: TranslationRequest
+): AsyncIterable<string> {
+  if (provider.translateStream) {
+    yield* provider.translateStream(request);
+  } else {
+    yield await provider.translate(request);
+  }
+}
+
+/**
+ * Stream `[id, translation]` pairs for a batch as segments complete.
+ * Like translateSegments(), any segment the batch did not produce is
+ * translated on its own afterwards.
+ */
+export async function* streamSegments(
+  provider: TranslationProvider,
+  request: BatchTranslationRequest
+): AsyncIterable<[string, string]> {
+  const pending = new Map(request.segments.map((s) => [s.id, s]));
+
+  if (provider.translateBatchStream && request.segments.length > 1) {
+    try {
+      for await (const [id, text] of provider.translateBatchStream(request)) {
+        if (!pending.has(id) || !text) continue;
+        pending.delete(id);
+        yield [id, text];
+      }
+    } catch (err) {
+      if (request.signal?.aborted) throw err;
+      console.warn(`Batch stream failed (${provider.name}), falling back to single segments:`, err);
+    }
+  } else if (provider.translateBatch && request.segments.length > 1) {
+    yield* (await translateSegments(provider, request)).entries();
+    return;
+  }
+
+  for (const segment of pending.values()) {
+    const text = await provider.translate(singleRequest(request, segment));
+    yield [segment.id, text];
+  }
+}
+
+/**
+ * Translate and classify one text. Providers without a structured mode, and
+ * replies that fail validation, fall back to a plain translation.
+ */
+export async function translateStructured(
+  provider: TranslationProvider,
+  request: TranslationRequest
+): Promise<StructuredTranslation> {
+  if (provider.translateStructured) {
+    try {
+      return await provider.translateStructured(request);
+    } catch (err) {
+      if (request.signal?.aborted) throw err;
+      console.warn(`Structured translation failed (${provider.name}), falling back to plain text:`, err);
+    }
+  }
+  return { translated: await provider.translate(request) };
+}
+
+/**
+ * Structured counterpart of streamSegments(). Segments the batch did not
+ * produce are translated on their own with translateStructured().
+ */
+export async function* streamStructuredSegments(
+  provider: TranslationProvider,
+  request: BatchTranslationRequest
+): AsyncIterable<[string, StructuredTranslation]> {
+  if (!provider.translateBatchStructured) {
+    for await (const [id, translated] of streamSegments(provider, request)) {
+      yield [id, { translated }];
+    }
+    return;
+  }
+
+  const pending = new Map(request.segments.map((s) => [s.id, s]));
+
+  if (request.segments.length > 1) {
+    try {
+      for await (const [id, result] of provider.translateBatchStructured(request)) {
+        if (!pending.has(id)) continue;
+        pending.delete(id);
+        yield [id, result];
+      }
+    } catch (err) {
+      if (request.signal?.aborted) throw err;
+      console.warn(`Structured batch failed (${provider.name}), falling back to single segments:`, err);
+    }
+  }
+
+  for (const segment of pending.values()) {
+    yield [segment.id, await translateStructured(provider, singleRequest(request, segment))];
+  }
+}
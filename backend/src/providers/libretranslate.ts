@@ -0,0 +1,86 @@
+import type { LibreTranslateProviderConfig } from "../config.js";
+import type { TranslationProvider, TranslationSegment } from "./types.js";
+
+interface LibreTranslateResponse<T> {
+  translatedText?: T;
+  detectedLanguage?: { language?: string; confidence?: number }; // only when source is "auto"
+  error?: string;
+}
+
+export function createLibreTranslateProvider(
+  name: string,
+  config: LibreTranslateProviderConfig
+): TranslationProvider {
+  const baseUrl = config.url.replace(/\/+$/, "");
+  const endpoint = `${baseUrl}/translate`;
+
+  async function request<T>(
+    q: T,
+    sourceLang: string | undefined,
+    targetLang: string,
+    signal: AbortSignal | undefined
+  ): Promise<LibreTranslateResponse<T> & { translatedText: T }> {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        q,
+        source: sourceLang || "auto",
+        target: targetLang,
+        format: "text",
+        ...(config.apiKey && { api_key: config.apiKey }),
+      }),
+      signal,
+    });
+
+    const data = (await res.json().catch(() => ({}))) as LibreTranslateResponse<T>;
+    if (!res.ok || data.translatedText === undefined) {
+      throw new Error(`${name}: ${data.error || `HTTP ${res.status}`}`);
+    }
+    return data as LibreTranslateResponse<T> & { translatedText: T };
+  }
+
+  return {
+    name,
+    kind: "libretranslate",
+
+    // LibreTranslate has no selectable models; /languages is only used as a reachability probe
+    async listModels(signal) {
+      const res = await fetch(`${baseUrl}/languages`, { signal });
+      if (!res.ok) throw new Error(`${name}: /languages returned HTTP ${res.status}`);
+      return [];
+    },
+
+    async translate({ text, sourceLang, targetLang, signal }) {
+      const { translatedText } = await request(text, sourceLang, targetLang, signal);
+      return translatedText.trim();
+    },
+
+    // No classification or notes, but the detected language is still useful
+    async translateStructured({ text, sourceLang, targetLang, signal }) {
+      const { translatedText, detectedLanguage } = await request(text, sourceLang, targetLang, signal);
+      return {
+        translated: translatedText.trim(),
+        ...(detectedLanguage?.language && { detectedLang: detectedLanguage.language }),
+      };
+    },
+
+    // LibreTranslate has no shared context between entries, but accepts
+    // an array of strings, which saves a round trip per segment. It takes one
+    // source language per call, so segments naming their own go in groups.
+    async translateBatch({ segments, sourceLang, targetLang, signal }) {
+      const groups = new Map<string | undefined, TranslationSegment[]>();
+      for (const segment of segments) {
+        const lang = segment.sourceLang ?? sourceLang;
+        groups.set(lang, [...(groups.get(lang) ?? []), segment]);
+      }
+
+      const results = new Map<string, string>();
+      for (const [lang, group] of groups) {
+        const { translatedText: translated } = await request(group.map((s) => s.text), lang, targetLang, signal);
+        group.forEach((s, i) => results.set(s.id, (translated[i] ?? "").trim()));
+      }
+      return results;
+    },
+  };
+}
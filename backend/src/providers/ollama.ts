@@ -0,0 +1,62 @@
+import { Ollama } from "ollama";
+import type { OllamaProviderConfig } from "../config.js";
+import { createChatProvider, type ChatOptions } from "./chat.js";
+import type { ChatMessage, TranslationProvider } from "./types.js";
+
+const DEFAULT_OLLAMA_HOST = "http://127.0.0.1:11434";
+
+interface OllamaTagsResponse {
+  models?: { name: string }[];
+}
+
+export function createOllamaProvider(name: string, config: OllamaProviderConfig): TranslationProvider {
+  const client = new Ollama(config.host ? { host: config.host } : undefined);
+  const host = (config.host || DEFAULT_OLLAMA_HOST).replace(/\/+$/, "");
+
+  const chatRequest = (messages: ChatMessage[], options?: ChatOptions) => ({
+    model: config.model,
+    messages,
+    ...(options?.json && { format: "json" }),
+    options: {
+      temperature: options?.temperature ?? config.temperature ?? 0.3, // Slightly higher for more natural language
+    }
+  });
+
+  // ollama-js takes no per-request AbortSignal, but each streamed call can be
+  // aborted on its own, so the non-streaming path also streams and joins the parts
+  async function* streamChat(messages: ChatMessage[], options?: ChatOptions): AsyncIterable<string> {
+    const stream = await client.chat({ ...chatRequest(messages, options), stream: true });
+    const abort = () => stream.abort();
+    options?.signal?.addEventListener("abort", abort);
+
+    try {
+      options?.signal?.throwIfAborted();
+      for await (const part of stream) {
+        if (part.message?.content) yield part.message.content;
+      }
+    } finally {
+      options?.signal?.removeEventListener("abort", abort);
+      // Stops generation when the consumer bails out early (e.g. client disconnected)
+      stream.abort();
+    }
+  }
+
+  return createChatProvider(
+    name,
+    "ollama",
+    config.model,
+    async (messages, options) => {
+      let content = "";
+      for await (const part of streamChat(messages, options)) content += part;
+      return content;
+    },
+    streamChat,
+    // Plain fetch rather than client.list(), which cannot be given a timeout
+    async (signal) => {
+      const res = await fetch(`${host}/api/tags`, { signal });
+      if (!res.ok) throw new Error(`${name}: /api/tags returned HTTP ${res.status}`);
+      const data = (await res.json()) as OllamaTagsResponse;
+      return (data.models ?? []).map((m) => m.name);
+    }
+  );
+}
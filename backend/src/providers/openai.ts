@@ -0,0 +1,108 @@
+import type { OpenAIProviderConfig } from "../config.js";
+import { createChatProvider, type ChatOptions } from "./chat.js";
+import type { ChatMessage, TranslationProvider } from "./types.js";
+
+interface ChatCompletionResponse {
+  choices?: { message?: { content?: string } }[];
+}
+
+interface ModelListResponse {
+  data?: { id: string }[];
+}
+
+interface ChatCompletionChunk {
+  choices?: { delta?: { content?: string } }[];
+  error?: string | { message?: string };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+export function createOpenAIProvider(name: string, config: OpenAIProviderConfig): TranslationProvider {
+  const baseUrl = config.baseUrl.replace(/\/+$/, "");
+  const endpoint = `${baseUrl}/chat/completions`;
+
+  // response_format is not supported consistently across compatible servers,
+  // so JSON replies rely on the prompt alone
+  async function post(messages: ChatMessage[], options: ChatOptions | undefined, stream: boolean): Promise<Response> {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        temperature: options?.temperature ?? config.temperature ?? 0.3,
+        stream,
+      }),
+      signal: options?.signal,
+    });
+
+    if (!res.ok) {
+      throw new Error(`${name}: chat completions returned HTTP ${res.status}`);
+    }
+    return res;
+  }
+
+  return createChatProvider(
+    name,
+    "openai",
+    config.model,
+    async (messages, options) => {
+      const res = await post(messages, options, false);
+      const data = (await res.json()) as ChatCompletionResponse;
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error(`${name}: response has no message content`);
+      }
+      return content;
+    },
+    async function* (messages, options) {
+      const res = await post(messages, options, true);
+      if (!res.body) throw new Error(`${name}: response has no body`);
+
+      // Server-Sent Events: "data: {...}" lines, terminated by "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop() ?? "";
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data) continue;
+          if (data === "[DONE]") return;
+
+          // Some compatible servers interleave keep-alives or other non-JSON payloads
+          let event: ChatCompletionChunk;
+          try {
+            event = JSON.parse(data) as ChatCompletionChunk;
+          } catch {
+            console.warn(`${name}: skipping unparseable stream line:`, data.slice(0, 200));
+            continue;
+          }
+          if (event.error) {
+            const message = typeof event.error === "string" ? event.error : event.error.message;
+            throw new Error(`${name}: stream returned an error: ${message ?? "unknown error"}`);
+          }
+
+          const content = event.choices?.[0]?.delta?.content;
+          if (content) yield content;
+        }
+      }
+    },
+    async (signal) => {
+      const res = await fetch(`${baseUrl}/models`, {
+        headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+        signal,
+      });
+      if (!res.ok) throw new Error(`${name}: /models returned HTTP ${res.status}`);
+      const data = (await res.json()) as ModelListResponse;
+      return (data.data ?? []).map((m) => m.id);
+    }
+  );
+}
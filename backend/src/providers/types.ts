@@ -0,0 +1,67 @@
+import type { ProviderKind } from "../config.js";
+import type { GlossaryTerm } from "../glossary.js";
+import type { PromptProfile } from "../profiles.js";
+
+export type { GlossaryTerm };
+
+export interface TranslationRequest {
+  text: string;
+  sourceLang?: string; // e.g. "ja", optional
+  targetLang: string;  // e.g. "en"
+  glossary?: GlossaryTerm[];
+  profile: PromptProfile;
+  signal?: AbortSignal; // aborts the provider call, e.g. when the job is cancelled
+}
+
+export interface TranslationSegment {
+  id: string;
+  text: string;
+  sourceLang?: string; // when one page mixes languages; overrides the batch's sourceLang
+}
+
+export interface BatchTranslationRequest {
+  segments: TranslationSegment[]; // in reading order
+  sourceLang?: string;
+  targetLang: string;
+  glossary?: GlossaryTerm[];
+  profile: PromptProfile;
+  signal?: AbortSignal;
+}
+
+export const SEGMENT_TYPES = ["dialogue", "narration", "sfx", "sign", "ui"] as const;
+export type SegmentType = (typeof SEGMENT_TYPES)[number];
+
+/** Translation plus what the model could tell about the source text */
+export interface StructuredTranslation {
+  translated: string;
+  detectedLang?: string;     // language code of the source text, e.g. "ja"
+  segmentType?: SegmentType;
+  notes?: string[];          // translator notes for puns, wordplay, cultural references
+}
+
+export interface ChatMessage {
+  role: "system" | "user" | "assistant";
+  content: string;
+}
+
+export interface TranslationProvider {
+  readonly name: string;
+  readonly kind: ProviderKind;
+  readonly model?: string;
+  translate(request: TranslationRequest): Promise<string>;
+  /** Translate related segments in one call. Returns translations keyed by segment id. */
+  translateBatch?(request: BatchTranslationRequest): Promise<Map<string, string>>;
+  /** Yield the translation in chunks as the model generates it */
+  translateStream?(request: TranslationRequest): AsyncIterable<string>;
+  /** Yield `[id, translation]` pairs as each segment of a batch completes */
+  translateBatchStream?(request: BatchTranslationRequest): AsyncIterable<[string, string]>;
+  /** Translate and classify one text. Rejects if the reply cannot be validated. */
+  translateStructured?(request: TranslationRequest): Promise<StructuredTranslation>;
+  /** Yield `[id, result]` pairs as each segment of a structured batch completes */
+  translateBatchStructured?(request: BatchTranslationRequest): AsyncIterable<[string, StructuredTranslation]>;
+  /**
+   * List the models the backend has available. Doubles as a reachability probe,
+   * so it must reject when the backend cannot be reached.
+   */
+  listModels(signal?: AbortSignal): Promise<string[]>;
+}
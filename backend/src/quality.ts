@@ -0,0 +1,143 @@
+import type { QualityConfig } from "./config.js";
+import type { StructuredTranslation } from "./providers/index.js";
+import { translateBatchResults, type RequestContext, type Translator } from "./translator.js";
+
+/**
+ * Optional quality pass: translate the result back into the source language,
+ * compare that with the source text, and combine it with the OCR confidence.
+ *
+ * A hallucinated translation of garbled OCR rarely back-translates to anything
+ * close to the source, so a low score is a useful hint to look again. It is
+ * only a hint: a loose but good translation can score low as well.
+ */
+
+export interface QualityScore {
+  score: number;            // 0..1
+  low: boolean;             // score is below config.quality.threshold
+  similarity?: number;      // 0..1, source text vs. back-translation
+  ocrConfidence?: number;   // 0..100, as reported by Tesseract
+  backTranslation?: string;
+}
+
+export interface QualityItem {
+  id: string;
+  source: string;
+  translated: string;
+  sourceLang?: string;      // language to back-translate into; OCR confidence only if unknown
+  ocrConfidence?: number;
+}
+
+export interface QualityChecker {
+  /** Score a set of translations, back-translating each source language in one batch */
+  assess(items: QualityItem[], targetLang: string, context: RequestContext, signal?: AbortSignal): Promise<Map<string, QualityScore>>;
+}
+
+/**
+ * The quality item for a translation. Text is back-translated into the requested
+ * source language, else the detected one; ocrConfidence is ignored unless it is a number.
+ */
+export function qualityItem(
+  id: string,
+  source: string,
+  result: StructuredTranslation,
+  sourceLang: string | undefined,
+  ocrConfidence: unknown
+): QualityItem {
+  return {
+    id,
+    source,
+    translated: result.translated,
+    sourceLang: sourceLang || result.detectedLang,
+    ...(typeof ocrConfidence === "number" && Number.isFinite(ocrConfidence) && { ocrConfidence }),
+  };
+}
+
+// Back-translation says more about the translation than OCR confidence does
+const SIMILARITY_WEIGHT = 0.6;
+
+/** Letters and digits only, so punctuation and spacing differences do not count */
+function normalize(text: string): string[] {
+  return Array.from(text.normalize("NFKC").toLowerCase()).filter((c) => /[\p{L}\p{N}]/u.test(c));
+}
+
+/**
+ * Dice coefficient over character bigrams (characters for very short texts).
+ * Works the same for scripts with and without spaces between words.
+ */
+export function textSimilarity(a: string, b: string): number {
+  const [x, y] = [normalize(a), normalize(b)];
+  if (x.length === 0 || y.length === 0) return x.length === y.length ? 1 : 0;
+
+  const n = Math.min(x.length, y.length) < 2 ? 1 : 2;
+  const grams = (chars: string[]) => {
+    const counts = new Map<string, number>();
+    for (let i = 0; i + n <= chars.length; i++) {
+      const gram = chars.slice(i, i + n).join("");
+      counts.set(gram, (counts.get(gram) ?? 0) + 1);
+    }
+    return counts;
+  };
+
+  const [gx, gy] = [grams(x), grams(y)];
+  let shared = 0;
+  for (const [gram, count] of gx) shared += Math.min(count, gy.get(gram) ?? 0);
+  return (2 * shared) / (x.length - n + 1 + (y.length - n + 1));
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function combine(similarity: number | undefined, ocrConfidence: number | undefined, threshold: number): QualityScore {
+  const ocr = ocrConfidence === undefined ? undefined : Math.min(Math.max(ocrConfidence, 0), 100) / 100;
+
+  let score: number;
+  if (similarity !== undefined && ocr !== undefined) {
+    score = SIMILARITY_WEIGHT * similarity + (1 - SIMILARITY_WEIGHT) * ocr;
+  } else {
+    // Nothing to judge by means nothing to flag
+    score = similarity ?? ocr ?? 1;
+  }
+
+  return {
+    score: round(score),
+    low: score < threshold,
+    ...(similarity !== undefined && { similarity: round(similarity) }),
+    ...(ocrConfidence !== undefined && { ocrConfidence }),
+  };
+}
+
+export function createQualityChecker(translator: Translator, { threshold }: QualityConfig): QualityChecker {
+  return {
+    async assess(items, targetLang, context, signal) {
+      // Back-translations are plain and glossary-free: the glossary maps into the target language only
+      const { glossary: _glossary, ...rest } = context;
+      const backContext: RequestContext = { ...rest, structured: false, quality: false };
+
+      const byLang = new Map<string, QualityItem[]>();
+      for (const item of items) {
+        if (!item.sourceLang || !item.translated.trim()) continue;
+        byLang.set(item.sourceLang, [...(byLang.get(item.sourceLang) ?? []), item]);
+      }
+
+      const backTranslations = new Map<string, string>();
+      for (const [sourceLang, group] of byLang) {
+        const segments = group.map((item) => ({ id: item.id, text: item.translated }));
+        const request = translator.batchRequestFor(segments, { sourceLang: targetLang, targetLang: sourceLang }, backContext);
+        const results = await translateBatchResults(context.provider, { ...request, signal }, false);
+        for (const [id, result] of results) backTranslations.set(id, result.translated);
+      }
+
+      const scores = new Map<string, QualityScore>();
+      for (const item of items) {
+        const backTranslation = backTranslations.get(item.id);
+        const similarity = backTranslation === undefined ? undefined : textSimilarity(item.source, backTranslation);
+        scores.set(item.id, {
+          ...combine(similarity, item.ocrConfidence, threshold),
+          ...(backTranslation !== undefined && { backTranslation }),
+        });
+      }
+      return scores;
+    },
+  };
+}
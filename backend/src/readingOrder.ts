@@ -0,0 +1,63 @@
+import type { OcrBbox, OcrLine } from "./ocr.js";
+
+/** rtl: manga, ltr: western comics, ttb: webtoons read straight down */
+export type ReadingDirection = "rtl" | "ltr" | "ttb";
+
+export const READING_DIRECTIONS: readonly ReadingDirection[] = ["rtl", "ltr", "ttb"];
+
+export function isReadingDirection(value: unknown): value is ReadingDirection {
+  return READING_DIRECTIONS.includes(value as ReadingDirection);
+}
+
+/** Japanese pages read right to left; everything else is assumed to read like western comics */
+export function defaultReadingDirection(ocrLang: string): ReadingDirection {
+  return ocrLang.split("+").some((lang) => lang.startsWith("jpn")) ? "rtl" : "ltr";
+}
+
+// Lines this much taller than wide, taken together, are vertical columns
+const COLUMN_ASPECT = 1.5;
+
+const centerX = ({ x0, x1 }: OcrBbox) => (x0 + x1) / 2;
+
+/**
+ * Lines of a paragraph in reading order. Tesseract returns vertical columns
+ * left to right; vertical Japanese is read from the rightmost column.
+ */
+export function orderColumns(lines: OcrLine[]): OcrLine[] {
+  if (lines.length < 2) return lines;
+
+  let width = 0;
+  let height = 0;
+  for (const { bbox } of lines) {
+    width += bbox.x1 - bbox.x0;
+    height += bbox.y1 - bbox.y0;
+  }
+  if (height <= width * COLUMN_ASPECT) return lines;
+
+  return [...lines].sort((a, b) => centerX(b.bbox) - centerX(a.bbox));
+}
+
+/**
+ * Blocks of a page in reading order. Blocks whose heights overlap by at least
+ * half the shorter one form a tier, read across in the page's direction; tiers
+ * are read top to bottom. Webtoons are read by the top of each block alone.
+ */
+export function orderBlocks<T extends { bbox: OcrBbox }>(blocks: T[], direction: ReadingDirection): T[] {
+  const byTop = [...blocks].sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+  if (direction === "ttb") return byTop;
+
+  const tiers: { y0: number; y1: number; blocks: T[] }[] = [];
+  for (const block of byTop) {
+    const { y0, y1 } = block.bbox;
+    const tier = tiers.find((t) => Math.min(t.y1, y1) - Math.max(t.y0, y0) >= Math.min(t.y1 - t.y0, y1 - y0) / 2);
+    if (tier) {
+      tier.blocks.push(block);
+      tier.y1 = Math.max(tier.y1, y1);
+    } else {
+      tiers.push({ y0, y1, blocks: [block] });
+    }
+  }
+
+  const sign = direction === "rtl" ? -1 : 1;
+  return tiers.flatMap((t) => t.blocks.sort((a, b) => sign * (centerX(a.bbox) - centerX(b.bbox))));
+}
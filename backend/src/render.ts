@@ -0,0 +1,244 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createCanvas, GlobalFonts, loadImage, type SKRSContext2D } from "@napi-rs/canvas";
+import JSZip from "jszip";
+import type { RenderConfig } from "./config.js";
+import type { OcrBbox } from "./ocr.js";
+import type { SegmentType } from "./providers/index.js";
+
+/** A translated text block, as the scanner and chapter jobs produce them */
+export interface RenderBlock {
+  bbox: OcrBbox;
+  translated: string;
+  segmentType?: SegmentType;
+}
+
+export interface RenderOptions {
+  font?: string;       // font family, defaults to config.render.defaultFont
+  color?: string;      // CSS color for the text; black or white by background when unset
+  erase?: boolean;     // paint over the original text first (default true)
+}
+
+export interface RenderPage {
+  image: Buffer;
+  blocks: RenderBlock[];
+}
+
+export interface Renderer {
+  readonly defaultFont: string;
+  fonts(): string[];
+  hasFont(family: string): boolean;
+  /** Draw the translations into the image and return it as PNG */
+  render(image: Buffer, blocks: RenderBlock[], options?: RenderOptions): Promise<Buffer>;
+  /**
+   * Render every page and pack the PNGs, numbered in order, into a ZIP (which is also a valid CBZ).
+   * Pages are loaded one at a time as they are rendered, so loadPage may fetch them.
+   */
+  renderChapter(pageCount: number, loadPage: (index: number) => Promise<RenderPage>, options?: RenderOptions): Promise<Buffer>;
+}
+
+const LINE_HEIGHT = 1.2;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 72;
+
+// Space kept free around the text, as a share of the block size
+const INSET = 0.06;
+
+// Pixels around a block sampled for its background color
+const BACKGROUND_RING = 3;
+
+type Rgb = [number, number, number];
+
+/**
+ * Most common color in a ring just outside the block, quantized so that
+ * anti-aliased text edges do not split the vote. Speech bubbles come out
+ * as their fill color rather than a grey average with the lettering.
+ */
+function backgroundColor(ctx: SKRSContext2D, { x0, y0, x1, y1 }: OcrBbox): Rgb {
+  const { width, height } = ctx.canvas;
+  const left = Math.max(0, Math.floor(x0) - BACKGROUND_RING);
+  const top = Math.max(0, Math.floor(y0) - BACKGROUND_RING);
+  const right = Math.min(width, Math.ceil(x1) + BACKGROUND_RING);
+  const bottom = Math.min(height, Math.ceil(y1) + BACKGROUND_RING);
+  if (right <= left || bottom <= top) return [255, 255, 255];
+
+  const { data } = ctx.getImageData(left, top, right - left, bottom - top);
+  const rowLength = right - left;
+  const votes = new Map<number, { count: number; sum: Rgb }>();
+
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const inside = x >= x0 && x < x1 && y >= y0 && y < y1;
+      if (inside) continue;
+
+      const i = ((y - top) * rowLength + (x - left)) * 4;
+      const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+      const vote = votes.get(key) ?? { count: 0, sum: [0, 0, 0] };
+      vote.count++;
+      vote.sum[0] += r;
+      vote.sum[1] += g;
+      vote.sum[2] += b;
+      votes.set(key, vote);
+    }
+  }
+
+  let best: { count: number; sum: Rgb } | undefined;
+  for (const vote of votes.values()) {
+    if (!best || vote.count > best.count) best = vote;
+  }
+  if (!best) return [255, 255, 255];
+  return best.sum.map((c) => Math.round(c / best!.count)) as Rgb;
+}
+
+function isLight([r, g, b]: Rgb): boolean {
+  return 0.299 * r + 0.587 * g + 0.114 * b > 140;
+}
+
+/**
+ * Greedy word wrap. Words wider than the line, and text in scripts written
+ * without spaces, are broken between characters.
+ */
+function wrapText(ctx: SKRSContext2D, text: string, maxWidth: number): string[] {
+  const fits = (value: string) => ctx.measureText(value).width <= maxWidth;
+  const lines: string[] = [];
+
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      let chars = Array.from(word);
+      while (chars.length > 1 && !fits(chars.join(""))) {
+        let cut = chars.length - 1;
+        while (cut > 1 && !fits(chars.slice(0, cut).join(""))) cut--;
+        lines.push(chars.slice(0, cut).join(""));
+        chars = chars.slice(cut);
+      }
+      line = chars.join("");
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Largest font size at which the wrapped text fits the box
+ */
+function fitText(
+  ctx: SKRSContext2D,
+  text: string,
+  font: (size: number) => string,
+  width: number,
+  height: number
+): { size: number; lines: string[] } {
+  const maxSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, Math.floor(height)));
+  for (let size = maxSize; size > MIN_FONT_SIZE; size--) {
+    ctx.font = font(size);
+    const lines = wrapText(ctx, text, width);
+    if (lines.length * size * LINE_HEIGHT <= height) return { size, lines };
+  }
+  // Too long for the box even at the smallest size: draw it anyway, overflowing
+  ctx.font = font(MIN_FONT_SIZE);
+  return { size: MIN_FONT_SIZE, lines: wrapText(ctx, text, width) };
+}
+
+function drawBlock(ctx: SKRSContext2D, block: RenderBlock, family: string, options: RenderOptions): void {
+  const { x0, y0, x1, y1 } = block.bbox;
+  const text = block.translated.trim();
+  if (!text || x1 <= x0 || y1 <= y0) return;
+
+  const background = backgroundColor(ctx, block.bbox);
+  if (options.erase !== false) {
+    ctx.fillStyle = `rgb(${background.join(",")})`;
+    ctx.fillRect(x0 - 1, y0 - 1, x1 - x0 + 2, y1 - y0 + 2);
+  }
+
+  const insetX = (x1 - x0) * INSET;
+  const insetY = (y1 - y0) * INSET;
+  const width = x1 - x0 - 2 * insetX;
+  const height = y1 - y0 - 2 * insetY;
+
+  // Sound effects are drawn bold and outlined, as they usually are in print
+  const sfx = block.segmentType === "sfx";
+  const font = (size: number) => `${sfx ? "bold " : ""}${size}px "${family}"`;
+  const { size, lines } = fitText(ctx, text, font, width, height);
+
+  const color = options.color ?? (isLight(background) ? "#000" : "#fff");
+  const lineHeight = size * LINE_HEIGHT;
+  const centerX = (x0 + x1) / 2;
+  const firstLineY = (y0 + y1) / 2 - ((lines.length - 1) * lineHeight) / 2;
+
+  ctx.font = font(size);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = color;
+  ctx.strokeStyle = isLight(background) ? "#fff" : "#000";
+  ctx.lineWidth = Math.max(2, size / 8);
+  ctx.lineJoin = "round";
+
+  lines.forEach((line, i) => {
+    const y = firstLineY + i * lineHeight;
+    if (sfx) ctx.strokeText(line, centerX, y);
+    ctx.fillText(line, centerX, y);
+  });
+}
+
+/**
+ * Typesets translations back into images. Fonts in config.fontsDir are
+ * registered at start-up next to the system fonts.
+ */
+export function createRenderer(config: RenderConfig): Renderer {
+  const fontsDir = path.resolve(config.fontsDir);
+  if (fs.existsSync(fontsDir)) {
+    const count = GlobalFonts.loadFontsFromDir(fontsDir);
+    console.log(`Loaded ${count} fonts from ${fontsDir}`);
+  }
+
+  const fonts = () => Array.from(new Set(GlobalFonts.families.map((f) => f.family))).sort();
+  const hasFont = (family: string) => GlobalFonts.has(family);
+
+  if (!hasFont(config.defaultFont)) {
+    console.warn(`Render font "${config.defaultFont}" is not installed; available: ${fonts().join(", ")}`);
+  }
+
+  async function render(image: Buffer, blocks: RenderBlock[], options: RenderOptions = {}): Promise<Buffer> {
+    const source = await loadImage(image);
+    const canvas = createCanvas(source.width, source.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source, 0, 0);
+
+    const family = options.font ?? config.defaultFont;
+    for (const block of blocks) {
+      drawBlock(ctx, block, family, options);
+    }
+    return canvas.encode("png");
+  }
+
+  return {
+    defaultFont: config.defaultFont,
+    fonts,
+    hasFont,
+    render,
+
+    async renderChapter(pageCount, loadPage, options) {
+      const zip = new JSZip();
+      const digits = String(pageCount).length;
+
+      // One page at a time keeps only a single source image in memory
+      for (let i = 0; i < pageCount; i++) {
+        const page = await loadPage(i);
+        const png = await render(page.image, page.blocks, options);
+        zip.file(`${String(i + 1).padStart(Math.max(3, digits), "0")}.png`, png);
+      }
+
+      // PNGs are compressed already; storing them keeps packing fast
+      return zip.generateAsync({ type: "nodebuffer", compression: "STORE" });
+    },
+  };
+}
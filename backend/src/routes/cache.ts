@@ -0,0 +1,49 @@
+import { Router } from "express";
+import type { CacheFilter, TranslationCache } from "../cache.js";
+
+function filterFromQuery(query: Record<string, unknown>): CacheFilter {
+  const pick = (key: string) => (typeof query[key] === "string" ? (query[key] as string) : undefined);
+  return {
+    model: pick("model"),
+    targetLang: pick("targetLang"),
+    promptVersion: pick("promptVersion"),
+  };
+}
+
+/**
+ * Inspect, purge and export the translation cache
+ *
+ * GET    /cache          stats plus a page of entries (?limit, ?offset, filters)
+ * DELETE /cache          purge entries matching ?model, ?targetLang, ?promptVersion (all if none)
+ * GET    /cache/export   every matching entry as JSON lines
+ */
+export function createCacheRouter(cache: TranslationCache): Router {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 1000);
+    const offset = Number(req.query.offset) || 0;
+    const entries = cache.entries(filterFromQuery(req.query));
+
+    res.json({
+      stats: cache.stats(),
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit),
+    });
+  });
+
+  router.delete("/", (req, res) => {
+    const removed = cache.purge(filterFromQuery(req.query));
+    console.log(`Purged ${removed} cached translations`);
+    res.json({ removed });
+  });
+
+  router.get("/export", (req, res) => {
+    const entries = cache.entries(filterFromQuery(req.query));
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.setHeader("Content-Disposition", 'attachment; filename="translation-cache.jsonl"');
+    res.send(entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : ""));
+  });
+
+  return router;
+}
@@ -0,0 +1,95 @@
+import { Router } from "express";
+import type { GlossaryStore } from "../glossary.js";
+
+/**
+ * CRUD for named glossaries
+ *
+ * GET    /glossaries                     list glossaries (without entries)
+ * GET    /glossaries/:name               one glossary with its entries
+ * PUT    /glossaries/:name               create or replace { description?, entries? }
+ * DELETE /glossaries/:name
+ * POST   /glossaries/:name/entries       add { source, target, notes? }
+ * PATCH  /glossaries/:name/entries/:id   update fields of one entry
+ * DELETE /glossaries/:name/entries/:id
+ */
+export function createGlossaryRouter(glossaries: GlossaryStore): Router {
+  const router = Router();
+
+  router.get("/", (_req, res) => {
+    res.json({
+      glossaries: glossaries.list().map(({ name, description, entries, updatedAt }) => ({
+        name,
+        description,
+        entryCount: entries.length,
+        updatedAt,
+      })),
+    });
+  });
+
+  router.get("/:name", (req, res): void => {
+    const glossary = glossaries.get(req.params.name);
+    if (!glossary) {
+      res.status(404).json({ error: "glossary not found" });
+      return;
+    }
+    res.json(glossary);
+  });
+
+  router.put("/:name", (req, res): void => {
+    const { description, entries } = req.body ?? {};
+    if (entries !== undefined && !Array.isArray(entries)) {
+      res.status(400).json({ error: "entries must be an array" });
+      return;
+    }
+
+    try {
+      res.json(glossaries.put(req.params.name, { description, entries }));
+    } catch (err) {
+      res.status(400).json({ error: (err as Error).message });
+    }
+  });
+
+  router.delete("/:name", (req, res): void => {
+    if (!glossaries.delete(req.params.name)) {
+      res.status(404).json({ error: "glossary not found" });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  router.post("/:name/entries", (req, res): void => {
+    try {
+      const entry = glossaries.addEntry(req.params.name, req.body ?? {});
+      if (!entry) {
+        res.status(404).json({ error: "glossary not found" });
+        return;
+      }
+      res.status(201).json(entry);
+    } catch (err) {
+      res.status(400).json({ error: (err as Error).message });
+    }
+  });
+
+  router.patch("/:name/entries/:id", (req, res): void => {
+    try {
+      const entry = glossaries.updateEntry(req.params.name, req.params.id, req.body ?? {});
+      if (!entry) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      res.json(entry);
+    } catch (err) {
+      res.status(400).json({ error: (err as Error).message });
+    }
+  });
+
+  router.delete("/:name/entries/:id", (req, res): void => {
+    if (!glossaries.removeEntry(req.params.name, req.params.id)) {
+      res.status(404).json({ error: "entry not found" });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
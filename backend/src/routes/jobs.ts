@@ -0,0 +1,152 @@
+import express, { Router } from "express";
+import multer from "multer";
+import type { ChapterImageSource, ChapterJob, ChapterJobStore } from "../chapters.js";
+import { decodeDataUrl, isHttpUrl, MAX_IMAGE_BYTES } from "../images.js";
+import type { JobQueue } from "../jobs.js";
+import { isValidOcrLanguage } from "../ocr.js";
+import { defaultReadingDirection, isReadingDirection, READING_DIRECTIONS } from "../readingOrder.js";
+import type { RequestSelection, Translator } from "../translator.js";
+
+const MAX_CHAPTER_IMAGES = 200;
+
+// Data URLs for a whole chapter; uploads are limited per file instead
+const MAX_CHAPTER_JSON_BYTES = 100 * 1024 * 1024;
+
+interface ChapterRequestBody extends Omit<RequestSelection, "structured" | "quality"> {
+  images?: { url?: string; image?: string }[]; // JSON: image URLs and/or data URLs
+  urls?: string | string[];                     // multipart: image URLs next to the uploaded files
+  ocrLang?: string;
+  readingDirection?: string;                    // "rtl", "ltr" or "ttb"; from ocrLang if unset
+  sourceLang?: string;
+  targetLang?: string;
+  structured?: boolean | string;                // multipart fields arrive as strings
+  quality?: boolean | string;
+}
+
+export interface JobRouterDeps {
+  jobs: JobQueue;
+  chapters: ChapterJobStore;
+  translator: Translator;
+}
+
+/** A chapter job without its per-image results, for listings */
+function summarize({ images, ...summary }: ChapterJob): Omit<ChapterJob, "images"> {
+  return summary;
+}
+
+/**
+ * Translation jobs: the provider queue and background chapter jobs
+ *
+ * GET    /jobs       queued and running provider jobs, plus chapter job summaries
+ * POST   /jobs       start a chapter job (JSON { images: [{ url } | { image: "<data URL>" }], ... }
+ *                    or multipart with `images` files and `urls` fields); responds 202 with the job
+ * GET    /jobs/:id   one chapter job with per-image progress and results, or one provider job
+ * DELETE /jobs/:id   cancel a job; a cancelled request fails with "job_cancelled"
+ */
+export function createJobRouter({ jobs, chapters, translator }: JobRouterDeps): Router {
+  const router = Router();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_CHAPTER_IMAGES },
+  });
+
+  // Mounted before the global JSON parser, since chapters can carry many images
+  const parseJson = express.json({ limit: MAX_CHAPTER_JSON_BYTES });
+
+  router.get("/", (_req, res) => {
+    res.json({
+      concurrency: jobs.concurrency,
+      jobs: jobs.list(),
+      chapters: chapters.list().map(summarize),
+    });
+  });
+
+  router.post("/", parseJson, upload.array("images", MAX_CHAPTER_IMAGES), (req, res): void => {
+    const body = (req.body ?? {}) as ChapterRequestBody;
+    const ocrLang = body.ocrLang || "eng";
+
+    if (!body.targetLang) {
+      res.status(400).json({ error: "targetLang is required" });
+      return;
+    }
+    if (!isValidOcrLanguage(ocrLang)) {
+      res.status(400).json({ error: `invalid ocrLang "${ocrLang}"` });
+      return;
+    }
+    const readingDirection = body.readingDirection || defaultReadingDirection(ocrLang);
+    if (!isReadingDirection(readingDirection)) {
+      res.status(400).json({ error: `readingDirection must be one of ${READING_DIRECTIONS.join(", ")}` });
+      return;
+    }
+
+    const sources: ChapterImageSource[] = [];
+    const files = (req.files ?? []) as Express.Multer.File[];
+    for (const file of files) {
+      sources.push({ image: file.buffer, name: file.originalname });
+    }
+    for (const url of [body.urls ?? []].flat()) {
+      sources.push({ url });
+    }
+    if (Array.isArray(body.images)) {
+      for (const item of body.images) {
+        const image = typeof item?.image === "string" ? decodeDataUrl(item.image) : undefined;
+        sources.push(image ? { image } : { url: item?.url });
+      }
+    }
+
+    if (sources.length === 0) {
+      res.status(400).json({ error: "images are required (URLs, data URLs or multipart uploads)" });
+      return;
+    }
+    if (sources.length > MAX_CHAPTER_IMAGES) {
+      res.status(413).json({ error: `a chapter can have at most ${MAX_CHAPTER_IMAGES} images` });
+      return;
+    }
+    const invalid = sources.findIndex((s) => !s.image && !isHttpUrl(s.url));
+    if (invalid !== -1) {
+      res.status(400).json({ error: `image ${invalid} needs an http(s) url or a data URL` });
+      return;
+    }
+    if (sources.some((s) => s.image && s.image.length > MAX_IMAGE_BYTES)) {
+      res.status(413).json({ error: `images can be at most ${MAX_IMAGE_BYTES} bytes` });
+      return;
+    }
+
+    const context = translator.resolveContext(res, {
+      ...body,
+      structured: body.structured === true || body.structured === "true",
+      quality: body.quality === true || body.quality === "true",
+    });
+    if (!context) return;
+
+    const chapter = chapters.create(sources, {
+      ocrLang,
+      readingDirection,
+      sourceLang: body.sourceLang || undefined,
+      targetLang: body.targetLang,
+      context,
+    });
+    console.log(`Chapter job ${chapter.id}: ${sources.length} images (${ocrLang} → ${body.targetLang})`);
+
+    res.status(202).location(`${req.baseUrl}/${chapter.id}`).json(chapter);
+  });
+
+  router.get("/:id", (req, res): void => {
+    const job = chapters.get(req.params.id) ?? jobs.get(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: "job not found" });
+      return;
+    }
+    res.json(job);
+  });
+
+  router.delete("/:id", (req, res): void => {
+    if (!chapters.cancel(req.params.id) && !jobs.cancel(req.params.id)) {
+      res.status(404).json({ error: "job not found" });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
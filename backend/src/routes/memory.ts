@@ -0,0 +1,100 @@
+import express, { Router } from "express";
+import { EXCHANGE_FORMATS, parseExchangeFile, serializeMemory, type ExchangeFormat } from "../exchange.js";
+import type { MemoryFilter, MemoryOrigin, TranslationMemory } from "../memory.js";
+
+// TMX and XLIFF files are often much larger than translation requests
+const IMPORT_LIMIT = "20mb";
+
+const XML_TYPES = ["application/xml", "text/xml", "application/x-tmx+xml", "application/xliff+xml", "application/x-xliff+xml"];
+
+const EXPORT_FILES: Record<ExchangeFormat, { contentType: string; extension: string }> = {
+  tmx: { contentType: "application/x-tmx+xml", extension: "tmx" },
+  xliff12: { contentType: "application/xliff+xml", extension: "xlf" },
+  xliff20: { contentType: "application/xliff+xml", extension: "xlf" },
+};
+
+function filterFromQuery(query: Record<string, unknown>): MemoryFilter {
+  const pick = (key: string) => (typeof query[key] === "string" ? (query[key] as string) : undefined);
+  const origin = pick("origin");
+  return {
+    sourceLang: pick("sourceLang"),
+    targetLang: pick("targetLang"),
+    origin: origin === "model" || origin === "import" ? (origin as MemoryOrigin) : undefined,
+  };
+}
+
+/**
+ * Inspect, exchange and purge the translation memory
+ *
+ * GET    /memory          stats plus a page of entries (?limit, ?offset, filters)
+ * DELETE /memory          purge entries matching ?sourceLang, ?targetLang, ?origin (all if none)
+ * GET    /memory/export   matching entries as ?format=tmx (default), xliff12 or xliff20
+ * POST   /memory/import   TMX or XLIFF document; its pairs become exact matches
+ */
+export function createMemoryRouter(memory: TranslationMemory): Router {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 1000);
+    const offset = Number(req.query.offset) || 0;
+    const entries = memory.entries(filterFromQuery(req.query));
+
+    res.json({
+      stats: memory.stats(),
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit),
+    });
+  });
+
+  router.delete("/", (req, res) => {
+    const removed = memory.purge(filterFromQuery(req.query));
+    console.log(`Purged ${removed} translation memory entries`);
+    res.json({ removed });
+  });
+
+  router.get("/export", (req, res): void => {
+    const format = (req.query.format ?? "tmx") as ExchangeFormat;
+    if (!EXCHANGE_FORMATS.includes(format)) {
+      res.status(400).json({ error: `format must be one of ${EXCHANGE_FORMATS.join(", ")}` });
+      return;
+    }
+
+    let body: string;
+    try {
+      body = serializeMemory(memory.entries(filterFromQuery(req.query)), format);
+    } catch (err) {
+      res.status(400).json({ error: (err as Error).message });
+      return;
+    }
+
+    const { contentType, extension } = EXPORT_FILES[format];
+    res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+    res.setHeader("Content-Disposition", `attachment; filename="translation-memory.${extension}"`);
+    res.send(body);
+  });
+
+  router.post("/import", express.text({ type: XML_TYPES, limit: IMPORT_LIMIT }), (req, res): void => {
+    if (!memory.stats().enabled) {
+      res.status(409).json({ error: "translation memory is disabled" });
+      return;
+    }
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      res.status(400).json({ error: `send a TMX or XLIFF document as ${XML_TYPES.slice(0, 2).join(" or ")}` });
+      return;
+    }
+
+    let parsed: ReturnType<typeof parseExchangeFile>;
+    try {
+      parsed = parseExchangeFile(req.body);
+    } catch (err) {
+      res.status(400).json({ error: `could not read the document: ${(err as Error).message}` });
+      return;
+    }
+
+    const imported = memory.import(parsed.entries);
+    console.log(`Imported ${imported} translation memory entries from ${parsed.format}`);
+    res.json({ format: parsed.format, imported });
+  });
+
+  return router;
+}
@@ -0,0 +1,65 @@
+import express, { Router } from "express";
+import multer from "multer";
+import { decodeDataUrl, MAX_IMAGE_BYTES } from "../images.js";
+import { isValidOcrLanguage, type OcrService } from "../ocr.js";
+
+interface OcrRequestBody {
+  image?: string;      // data URL, when not uploaded as multipart
+  lang?: string;       // Tesseract language code(s), e.g. "jpn" or "chi_sim+eng"
+}
+
+/**
+ * OCR on the server, and the traineddata it has for the extension to install
+ *
+ * POST /ocr                   recognize text in an image. Accepts either JSON `{ image: "<data URL>", lang }`
+ *                             or a multipart upload with an `image` file field and a `lang` field.
+ *                             Responds with `{ text, confidence, paragraphs, lines, language }`.
+ * GET  /ocr/languages         traineddata files available here: `{ languages: [{ lang, bytes, gzip, modifiedAt }] }`
+ * GET  /ocr/languages/:lang   download one of them
+ */
+export function createOcrRouter(ocr: OcrService): Router {
+  const router = Router();
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMAGE_BYTES } });
+
+  // Images are much larger than translation payloads, so this route has its own body limit
+  const parseJson = express.json({ limit: Math.ceil(MAX_IMAGE_BYTES * 1.4) });
+
+  router.post("/", parseJson, upload.single("image"), async (req, res): Promise<void> => {
+    const body = (req.body ?? {}) as OcrRequestBody;
+    const language = body.lang || "eng";
+
+    if (!isValidOcrLanguage(language)) {
+      res.status(400).json({ error: `invalid lang "${language}"` });
+      return;
+    }
+
+    const image = req.file?.buffer ?? (typeof body.image === "string" ? decodeDataUrl(body.image) : undefined);
+    if (!image) {
+      res.status(400).json({ error: "image is required (data URL or multipart upload)" });
+      return;
+    }
+
+    try {
+      const result = await ocr.recognize(image, language);
+      res.json(result);
+    } catch (err) {
+      console.error(`OCR error (${language}):`, err);
+      res.status(500).json({ error: "ocr_failed" });
+    }
+  });
+
+  router.get("/languages", (_req, res) => {
+    res.json({ languages: ocr.languages() });
+  });
+
+  router.get("/languages/:lang", (req, res): void => {
+    const file = ocr.languageFile(req.params.lang);
+    if (!file) {
+      res.status(404).json({ error: `no traineddata for "${req.params.lang}"` });
+      return;
+    }
+    res.sendFile(file);
+  });
+
+  return router;
+}
@@ -0,0 +1,33 @@
+import express, { Router } from "express";
+import type { AuthStore } from "../security.js";
+
+interface PairRequestBody {
+  code?: string;
+}
+
+/**
+ * POST /pair - trade the pairing code printed by the server for the shared token
+ *
+ * Only browser extensions can pair; their origin is remembered and allowed from then on.
+ * This is the one route that works without a token.
+ */
+export function createPairRouter(auth: AuthStore): Router {
+  const router = Router();
+
+  router.post("/", express.json({ limit: "1kb" }), (req, res): void => {
+    const { code } = (req.body ?? {}) as PairRequestBody;
+    if (typeof code !== "string" || !code) {
+      res.status(400).json({ error: "code is required" });
+      return;
+    }
+
+    const token = auth.pair(code, req.headers.origin);
+    if (!token) {
+      res.status(403).json({ error: "wrong pairing code, or the request is not from a browser extension" });
+      return;
+    }
+    res.json({ token });
+  });
+
+  return router;
+}
@@ -0,0 +1,57 @@
+import { Router } from "express";
+import type { ProfileInput, ProfileStore } from "../profiles.js";
+
+/**
+ * Prompt profiles
+ *
+ * GET    /profiles         list profiles (without templates)
+ * GET    /profiles/:name   one profile with its templates
+ * PUT    /profiles/:name   create or replace a custom profile
+ * DELETE /profiles/:name   remove a custom profile (reverts to the built-in one, if any)
+ */
+export function createProfileRouter(profiles: ProfileStore): Router {
+  const router = Router();
+
+  router.get("/", (_req, res) => {
+    res.json({
+      defaultProfile: profiles.defaultName,
+      profiles: profiles.list().map(({ name, label, description, builtIn, version }) => ({
+        name,
+        label,
+        description,
+        builtIn,
+        version,
+      })),
+    });
+  });
+
+  router.get("/:name", (req, res): void => {
+    const profile = profiles.get(req.params.name);
+    if (!profile) {
+      res.status(404).json({ error: "profile not found" });
+      return;
+    }
+    res.json(profile);
+  });
+
+  router.put("/:name", (req, res): void => {
+    try {
+      res.json(profiles.put(req.params.name, (req.body ?? {}) as ProfileInput));
+    } catch (err) {
+      res.status(400).json({ error: (err as Error).message });
+    }
+  });
+
+  router.delete("/:name", (req, res): void => {
+    if (!profiles.delete(req.params.name)) {
+      const builtIn = profiles.get(req.params.name)?.builtIn;
+      res.status(builtIn ? 400 : 404).json({
+        error: builtIn ? "built-in profiles cannot be deleted" : "profile not found",
+      });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
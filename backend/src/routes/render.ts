@@ -0,0 +1,233 @@
+import express, { Router, type Response } from "express";
+import multer from "multer";
+import { decodeDataUrl, fetchImage, isHttpUrl, MAX_IMAGE_BYTES } from "../images.js";
+import { SEGMENT_TYPES } from "../providers/types.js";
+import type { RenderBlock, RenderOptions, RenderPage, Renderer } from "../render.js";
+
+const MAX_CHAPTER_PAGES = 200;
+const MAX_BLOCKS_PER_PAGE = 500;
+
+// Data URLs for a whole chapter; uploads are limited per file instead
+const MAX_RENDER_JSON_BYTES = 100 * 1024 * 1024;
+
+const ARCHIVE_TYPES = {
+  cbz: "application/vnd.comicbook+zip",
+  zip: "application/zip",
+};
+
+interface RenderPageBody {
+  image?: string;                // data URL
+  url?: string;                  // fetched by the server instead
+  blocks?: unknown;              // RenderBlock[]; a JSON string in multipart requests
+}
+
+interface RenderRequestBody extends RenderPageBody {
+  pages?: RenderPageBody[] | string; // chapter: one entry per page, a JSON string in multipart requests
+  format?: string;                   // chapter: "cbz" (default) or "zip"
+  font?: string;
+  color?: string;
+  erase?: boolean | string;
+  pageUrl?: string;                  // sent as Referer when fetching urls
+}
+
+/** A chapter page could not be loaded; carries the response to send */
+class PageError extends Error {
+  constructor(readonly status: number, readonly body: { error: string; page?: number; detail?: string }) {
+    super(body.detail ?? body.error);
+  }
+}
+
+function isBbox(value: unknown): boolean {
+  const bbox = value as Record<string, unknown> | null;
+  return !!bbox && ["x0", "y0", "x1", "y1"].every((key) => Number.isFinite(bbox[key]));
+}
+
+/**
+ * Validate a page's blocks, accepting the JSON string form multipart sends.
+ * Returns an error message instead when they are malformed.
+ */
+function parseBlocks(value: unknown): RenderBlock[] | string {
+  let blocks = value;
+  if (typeof blocks === "string") {
+    try {
+      blocks = JSON.parse(blocks);
+    } catch {
+      return "blocks is not valid JSON";
+    }
+  }
+
+  if (!Array.isArray(blocks)) return "blocks must be an array";
+  if (blocks.length > MAX_BLOCKS_PER_PAGE) return `a page can have at most ${MAX_BLOCKS_PER_PAGE} blocks`;
+
+  const invalid = blocks.findIndex((b) => !b || !isBbox(b.bbox) || typeof b.translated !== "string");
+  if (invalid !== -1) return `block ${invalid} needs a bbox { x0, y0, x1, y1 } and translated text`;
+
+  return blocks.map(({ bbox, translated, segmentType }) => ({
+    bbox: { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 },
+    translated,
+    ...(SEGMENT_TYPES.includes(segmentType) && { segmentType }),
+  }));
+}
+
+/**
+ * POST /render - typeset translations into images
+ *
+ * GET  /render/fonts     font families available for rendering
+ * POST /render           one image: JSON { image: "<data URL>" | url, blocks, font?, color?, erase? }
+ *                        or multipart with an `image` file and a `blocks` JSON field. Responds with a PNG.
+ * POST /render/chapter   JSON { pages: [{ image | url, blocks }], format?: "cbz" | "zip", font?, ... }
+ *                        or multipart `images` files with a `pages` JSON field of { blocks } in the same
+ *                        order. Responds with the rendered pages as a CBZ or ZIP download.
+ *
+ * Blocks are { bbox, translated, segmentType? } with bbox in pixels of the image,
+ * as returned by the scanner and by chapter jobs.
+ */
+export function createRenderRouter(renderer: Renderer): Router {
+  const router = Router();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_CHAPTER_PAGES },
+  });
+
+  // Mounted before the global JSON parser: images make for large bodies
+  const parseJson = express.json({ limit: MAX_RENDER_JSON_BYTES });
+
+  /**
+   * Font, color and erase options, sending a 400 and returning undefined for an unknown font
+   */
+  function renderOptions(res: Response, body: RenderRequestBody): RenderOptions | undefined {
+    if (body.font && !renderer.hasFont(body.font)) {
+      res.status(400).json({ error: `unknown font "${body.font}"`, fonts: renderer.fonts() });
+      return undefined;
+    }
+    return {
+      ...(body.font && { font: body.font }),
+      ...(typeof body.color === "string" && body.color && { color: body.color }),
+      erase: body.erase !== false && body.erase !== "false",
+    };
+  }
+
+  /**
+   * The image of a page: an upload, a data URL or a URL fetched here
+   */
+  async function pageImage(page: RenderPageBody, file: Express.Multer.File | undefined, referer?: string): Promise<Buffer | undefined> {
+    if (file) return file.buffer;
+    if (typeof page.image === "string") return decodeDataUrl(page.image);
+    if (isHttpUrl(page.url)) return fetchImage(page.url, referer);
+    return undefined;
+  }
+
+  router.get("/fonts", (_req, res) => {
+    res.json({ fonts: renderer.fonts(), defaultFont: renderer.defaultFont });
+  });
+
+  router.post("/", parseJson, upload.single("image"), async (req, res): Promise<void> => {
+    const body = (req.body ?? {}) as RenderRequestBody;
+
+    const blocks = parseBlocks(body.blocks);
+    if (typeof blocks === "string") {
+      res.status(400).json({ error: blocks });
+      return;
+    }
+    const options = renderOptions(res, body);
+    if (!options) return;
+
+    let image: Buffer | undefined;
+    try {
+      image = await pageImage(body, req.file, body.pageUrl);
+    } catch (err) {
+      res.status(502).json({ error: "image_fetch_failed", detail: (err as Error).message });
+      return;
+    }
+    if (!image) {
+      res.status(400).json({ error: "image is required (data URL, url or multipart upload)" });
+      return;
+    }
+
+    try {
+      const png = await renderer.render(image, blocks, options);
+      res.type("image/png").send(png);
+    } catch (err) {
+      console.error("Render error:", err);
+      res.status(422).json({ error: "render_failed", detail: (err as Error).message });
+    }
+  });
+
+  router.post("/chapter", parseJson, upload.array("images", MAX_CHAPTER_PAGES), async (req, res): Promise<void> => {
+    const body = (req.body ?? {}) as RenderRequestBody;
+    const files = (req.files ?? []) as Express.Multer.File[];
+
+    let pages = body.pages;
+    if (typeof pages === "string") {
+      try {
+        pages = JSON.parse(pages) as RenderPageBody[];
+      } catch {
+        res.status(400).json({ error: "pages is not valid JSON" });
+        return;
+      }
+    }
+    if (!Array.isArray(pages) || pages.length === 0) {
+      res.status(400).json({ error: "pages are required" });
+      return;
+    }
+    const chapterPages = pages;
+    if (pages.length > MAX_CHAPTER_PAGES) {
+      res.status(413).json({ error: `a chapter can have at most ${MAX_CHAPTER_PAGES} pages` });
+      return;
+    }
+
+    const format = body.format ?? "cbz";
+    if (format !== "cbz" && format !== "zip") {
+      res.status(400).json({ error: 'format must be "cbz" or "zip"' });
+      return;
+    }
+    const options = renderOptions(res, body);
+    if (!options) return;
+
+    const blocksByPage: RenderBlock[][] = [];
+    for (const [i, page] of pages.entries()) {
+      const blocks = parseBlocks(page?.blocks);
+      if (typeof blocks === "string") {
+        res.status(400).json({ error: `page ${i}: ${blocks}` });
+        return;
+      }
+      blocksByPage.push(blocks);
+    }
+
+    // Catch pages without an image before anything is fetched or rendered
+    const missing = pages.findIndex((page, i) => !files[i] && typeof page?.image !== "string" && !isHttpUrl(page?.url));
+    if (missing >= 0) {
+      res.status(400).json({ error: `page ${missing} needs an image (data URL, url or multipart upload)` });
+      return;
+    }
+
+    async function loadPage(i: number): Promise<RenderPage> {
+      let image: Buffer | undefined;
+      try {
+        image = await pageImage(chapterPages[i] ?? {}, files[i], body.pageUrl);
+      } catch (err) {
+        throw new PageError(502, { error: "image_fetch_failed", page: i, detail: (err as Error).message });
+      }
+      if (!image) {
+        throw new PageError(400, { error: `page ${i} needs an image (data URL, url or multipart upload)` });
+      }
+      return { image, blocks: blocksByPage[i] };
+    }
+
+    try {
+      const archive = await renderer.renderChapter(pages.length, loadPage, options);
+      res.setHeader("Content-Type", ARCHIVE_TYPES[format]);
+      res.setHeader("Content-Disposition", `attachment; filename="chapter.${format}"`);
+      res.send(archive);
+    } catch (err) {
+      if (err instanceof PageError) {
+        res.status(err.status).json(err.body);
+        return;
+      }
+      console.error("Chapter render error:", err);
+      res.status(422).json({ error: "render_failed", detail: (err as Error).message });
+    }
+  });
+
+  return router;
+}
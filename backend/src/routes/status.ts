@@ -0,0 +1,64 @@
+import { Router } from "express";
+import { checkProviderHealth, type ProviderRegistry, type TranslationProvider } from "../providers/index.js";
+
+const HEALTH_TIMEOUT_MS = 3000;
+
+/**
+ * GET /health - server status plus reachability and model availability per provider
+ * GET /models - models installed on each provider
+ *
+ * Both accept ?provider=<name> to check a single provider.
+ */
+export function createStatusRouter(providers: ProviderRegistry): Router {
+  const router = Router();
+  const startedAt = Date.now();
+
+  function selectedProviders(name: unknown): TranslationProvider[] | undefined {
+    if (typeof name !== "string") {
+      return providers.names().map((n) => providers.get(n)!);
+    }
+    const provider = providers.get(name);
+    return provider ? [provider] : undefined;
+  }
+
+  router.get("/health", async (req, res): Promise<void> => {
+    const selected = selectedProviders(req.query.provider);
+    if (!selected) {
+      res.status(400).json({ error: `unknown provider "${req.query.provider}"`, providers: providers.names() });
+      return;
+    }
+
+    const checks = await Promise.all(selected.map((p) => checkProviderHealth(p, HEALTH_TIMEOUT_MS)));
+    const results = checks.map(({ models: _models, ...health }) => health);
+    const defaultHealth = results.find((h) => h.name === providers.defaultName);
+
+    res.json({
+      status: results.every((h) => h.reachable && h.modelAvailable !== false) ? "ok" : "degraded",
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      defaultProvider: providers.defaultName,
+      ...(defaultHealth && { active: defaultHealth }),
+      providers: results,
+    });
+  });
+
+  router.get("/models", async (req, res): Promise<void> => {
+    const selected = selectedProviders(req.query.provider);
+    if (!selected) {
+      res.status(400).json({ error: `unknown provider "${req.query.provider}"`, providers: providers.names() });
+      return;
+    }
+
+    const checks = await Promise.all(selected.map((p) => checkProviderHealth(p, HEALTH_TIMEOUT_MS)));
+    res.json({
+      providers: checks.map((h) => ({
+        name: h.name,
+        kind: h.kind,
+        configuredModel: h.model,
+        models: h.models,
+        ...(!h.reachable && { error: h.error }),
+      })),
+    });
+  });
+
+  return router;
+}
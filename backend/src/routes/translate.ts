@@ -0,0 +1,448 @@
+import { Router, type Response } from "express";
+import type { SecurityConfig } from "../config.js";
+import type { Job, JobQueue } from "../jobs.js";
+import {
+  streamTranslation,
+  translateStructured,
+  type StructuredTranslation,
+  type TranslationProvider,
+  type TranslationSegment,
+} from "../providers/index.js";
+import { qualityItem, type QualityChecker, type QualityItem } from "../quality.js";
+import {
+  jobFailure,
+  streamBatchResults,
+  translateBatchResults,
+  translateResult,
+  type LanguagePair,
+  type RequestSelection,
+  type StoredTranslation,
+  type Translator,
+} from "../translator.js";
+
+interface TranslateRequestBody extends RequestSelection {
+  text: string;
+  sourceLang?: string;
+  targetLang: string;
+  ocrConfidence?: number; // 0..100, counted into the quality score
+}
+
+interface BatchTranslateRequestBody extends RequestSelection {
+  // sourceLang on a segment overrides the batch's, for pages that mix languages
+  segments: { id: string | number; text: string; sourceLang?: string; ocrConfidence?: number }[];
+  sourceLang?: string;
+  targetLang: string;
+}
+
+export interface TranslateRouterDeps {
+  translator: Translator;
+  quality: QualityChecker;
+  jobs: JobQueue;
+  limits: Pick<SecurityConfig, "maxTextLength" | "maxSegments">;
+}
+
+export const CACHE_HEADERS = ["X-Cache", "X-Cache-Hits", "X-Cache-Misses"];
+
+function setCacheHeaders(res: Response, hits: number, misses: number): void {
+  res.setHeader("X-Cache", misses === 0 ? "HIT" : hits === 0 ? "MISS" : "PARTIAL");
+  res.setHeader("X-Cache-Hits", String(hits));
+  res.setHeader("X-Cache-Misses", String(misses));
+}
+
+/**
+ * Quality items for the translated segments of a batch, with the OCR confidence each segment was sent with
+ */
+function qualityItems(
+  body: BatchTranslateRequestBody,
+  segments: TranslationSegment[],
+  results: Map<string, StructuredTranslation>
+): QualityItem[] {
+  const confidences = new Map(body.segments.map((s) => [String(s.id), s.ocrConfidence]));
+  return segments
+    .filter((s) => results.has(s.id))
+    .map((s) => qualityItem(s.id, s.text, results.get(s.id)!, s.sourceLang ?? body.sourceLang, confidences.get(s.id)));
+}
+
+/**
+ * The language pair of one batch segment; its own sourceLang wins over the batch's
+ */
+function segmentLangs(body: BatchTranslateRequestBody, segment: TranslationSegment): LanguagePair {
+  return { sourceLang: segment.sourceLang ?? body.sourceLang, targetLang: body.targetLang };
+}
+
+/**
+ * Switch the response to newline-delimited JSON and return a writer for events.
+ * The returned `closed()` reports whether the client has gone away.
+ */
+function startNdjson(res: Response): { write: (event: object) => void; closed: () => boolean } {
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  res.setHeader("Content-Type", "application/x-ndjson");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders();
+
+  return {
+    write: (event) => {
+      if (!closed) res.write(JSON.stringify(event) + "\n");
+    },
+    closed: () => closed,
+  };
+}
+
+export function createTranslateRouter({ translator, quality, jobs, limits }: TranslateRouterDeps): Router {
+  const router = Router();
+
+  /**
+   * Queue a provider job for this request; it is aborted if the client
+   * disconnects before the response is complete
+   */
+  function startJob(res: Response, kind: string, provider: TranslationProvider): Job {
+    const job = jobs.create(kind, provider.name);
+    res.on("close", () => {
+      if (!res.writableFinished) job.abort("disconnected");
+    });
+    return job;
+  }
+
+  /**
+   * Validate a single-text body, sending a 4xx and returning false if it is invalid
+   */
+  function validateTextBody(res: Response, body: TranslateRequestBody): boolean {
+    if (typeof body.text !== "string" || !body.text || !body.targetLang) {
+      res.status(400).json({ error: "text and targetLang are required" });
+      return false;
+    }
+    if (body.text.length > limits.maxTextLength) {
+      res.status(413).json({ error: `text is longer than ${limits.maxTextLength} characters` });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate a batch body, sending a 4xx and returning undefined if it is invalid
+   */
+  function parseBatchBody(res: Response, body: BatchTranslateRequestBody): TranslationSegment[] | undefined {
+    const { segments, targetLang } = body;
+
+    if (!Array.isArray(segments) || segments.length === 0 || !targetLang) {
+      res.status(400).json({ error: "segments and targetLang are required" });
+      return undefined;
+    }
+
+    const invalid = segments.findIndex(
+      (s) => !s || (typeof s.id !== "string" && typeof s.id !== "number") || typeof s.text !== "string"
+    );
+    if (invalid !== -1) {
+      res.status(400).json({ error: `segment ${invalid} needs an id and text` });
+      return undefined;
+    }
+
+    const badLang = segments.findIndex((s) => s.sourceLang !== undefined && typeof s.sourceLang !== "string");
+    if (badLang !== -1) {
+      res.status(400).json({ error: `segment ${badLang} has an invalid sourceLang` });
+      return undefined;
+    }
+
+    if (segments.length > limits.maxSegments) {
+      res.status(413).json({ error: `a batch can have at most ${limits.maxSegments} segments` });
+      return undefined;
+    }
+
+    const tooLong = segments.findIndex((s) => s.text.length > limits.maxTextLength);
+    if (tooLong !== -1) {
+      res.status(413).json({ error: `segment ${tooLong} is longer than ${limits.maxTextLength} characters` });
+      return undefined;
+    }
+
+    const ids = segments.map((s) => String(s.id));
+    if (new Set(ids).size !== ids.length) {
+      res.status(400).json({ error: "segment ids must be unique" });
+      return undefined;
+    }
+
+    return segments.map((s) => ({ id: String(s.id), text: s.text, ...(s.sourceLang && { sourceLang: s.sourceLang }) }));
+  }
+
+  router.post("/", async (req, res): Promise<void> => {
+    const body = req.body as TranslateRequestBody;
+
+    if (!validateTextBody(res, body)) return;
+
+    const context = translator.resolveContext(res, body);
+    if (!context) return;
+    const { provider, structured } = context;
+
+    const request = translator.requestFor(body.text, body, context);
+    const cacheKey = translator.cacheKeyFor(provider, request, structured);
+    const stored = translator.findStored(request, cacheKey, structured);
+    if (stored !== undefined && !context.quality) {
+      setCacheHeaders(res, 1, 0);
+      res.json({
+        ...stored,
+        provider: provider.name,
+        glossaryWarnings: translator.glossaryWarningsFor(request, stored.translated),
+      });
+      return;
+    }
+
+    // The quality pass calls the provider even for stored translations
+    const job = startJob(res, "translate", provider);
+    try {
+      await job.wait();
+      let result: StoredTranslation;
+      if (stored !== undefined) {
+        result = stored;
+      } else {
+        result = await translateResult(provider, { ...request, signal: job.signal }, structured);
+        translator.saveResult(cacheKey, request, result, context);
+      }
+
+      const scores = context.quality
+        ? await quality.assess([qualityItem("0", body.text, result, body.sourceLang, body.ocrConfidence)], body.targetLang, context, job.signal)
+        : undefined;
+
+      setCacheHeaders(res, stored !== undefined ? 1 : 0, stored !== undefined ? 0 : 1);
+      res.json({
+        ...result,
+        provider: provider.name,
+        glossaryWarnings: translator.glossaryWarningsFor(request, result.translated),
+        ...(scores && { quality: scores.get("0") }),
+      });
+    } catch (err) {
+      const { status, error } = jobFailure(job, `Translation error (${provider.name})`, err);
+      if (!res.headersSent) res.status(status).json({ error, jobId: job.id });
+    } finally {
+      job.finish();
+    }
+  });
+
+  /**
+   * Streaming variant of POST /translate. Responds with NDJSON events:
+   *   { type: "queued", jobId, position }        - waiting for a free slot (repeats as the queue moves)
+   *   { type: "started", jobId }                 - the provider call has begun; DELETE /jobs/:id cancels it
+   *   { type: "chunk", text }                    - next piece of the translation
+   *   { type: "done", translated, provider }     - full translation (with `quality` if requested)
+   *   { type: "error", error }
+   * Structured requests send no chunks; their "done" event carries the structured fields.
+   */
+  router.post("/stream", async (req, res): Promise<void> => {
+    const body = req.body as TranslateRequestBody;
+
+    if (!validateTextBody(res, body)) return;
+
+    const context = translator.resolveContext(res, body);
+    if (!context) return;
+    const { provider, structured } = context;
+
+    const request = translator.requestFor(body.text, body, context);
+    const cacheKey = translator.cacheKeyFor(provider, request, structured);
+    const stored = translator.findStored(request, cacheKey, structured);
+    setCacheHeaders(res, stored !== undefined ? 1 : 0, stored !== undefined ? 0 : 1);
+    const stream = startNdjson(res);
+
+    if (stored !== undefined && !context.quality) {
+      if (!structured) stream.write({ type: "chunk", text: stored.translated });
+      stream.write({
+        type: "done",
+        ...stored,
+        provider: provider.name,
+        glossaryWarnings: translator.glossaryWarningsFor(request, stored.translated),
+      });
+      res.end();
+      return;
+    }
+
+    const job = startJob(res, "translate/stream", provider);
+    try {
+      await job.wait((position) => stream.write({ type: "queued", jobId: job.id, position }));
+      stream.write({ type: "started", jobId: job.id });
+
+      let result: StoredTranslation;
+      if (stored !== undefined) {
+        if (!structured) stream.write({ type: "chunk", text: stored.translated });
+        result = stored;
+      } else if (structured) {
+        // The reply is a JSON object, which is of no use to the client half-finished
+        result = await translateStructured(provider, { ...request, signal: job.signal });
+      } else {
+        let translated = "";
+        for await (const chunk of streamTranslation(provider, { ...request, signal: job.signal })) {
+          if (stream.closed()) break;
+          translated += chunk;
+          stream.write({ type: "chunk", text: chunk });
+        }
+        result = { translated: translated.trim() };
+      }
+
+      if (!stream.closed()) {
+        if (stored === undefined) translator.saveResult(cacheKey, request, result, context);
+        const scores = context.quality
+          ? await quality.assess([qualityItem("0", body.text, result, body.sourceLang, body.ocrConfidence)], body.targetLang, context, job.signal)
+          : undefined;
+        stream.write({
+          type: "done",
+          ...result,
+          provider: provider.name,
+          glossaryWarnings: translator.glossaryWarningsFor(request, result.translated),
+          ...(scores && { quality: scores.get("0") }),
+        });
+      }
+    } catch (err) {
+      const { error } = jobFailure(job, `Streaming translation error (${provider.name})`, err);
+      stream.write({ type: "error", error, jobId: job.id });
+    } finally {
+      job.finish();
+    }
+    res.end();
+  });
+
+  router.post("/batch", async (req, res): Promise<void> => {
+    const body = req.body as BatchTranslateRequestBody;
+    const segments = parseBatchBody(res, body);
+    if (!segments) return;
+
+    const context = translator.resolveContext(res, body);
+    if (!context) return;
+    const { provider, structured } = context;
+
+    const requests = new Map(segments.map((s) => [s.id, translator.requestFor(s.text, segmentLangs(body, s), context)]));
+    const keyFor = (id: string) => translator.cacheKeyFor(provider, requests.get(id)!, structured);
+
+    // Only segments missing from the memory and the cache go to the provider
+    const results = new Map<string, StoredTranslation>();
+    const misses: TranslationSegment[] = [];
+    for (const segment of segments) {
+      const stored = translator.findStored(requests.get(segment.id)!, keyFor(segment.id), structured);
+      if (stored !== undefined) results.set(segment.id, stored);
+      else misses.push(segment);
+    }
+
+    const job = misses.length > 0 || context.quality ? startJob(res, "translate/batch", provider) : undefined;
+    try {
+      if (job) await job.wait();
+      if (misses.length > 0) {
+        const request = { ...translator.batchRequestFor(misses, body, context), signal: job!.signal };
+        const fresh = await translateBatchResults(provider, request, structured);
+        for (const segment of misses) {
+          const result = fresh.get(segment.id) ?? { translated: "" };
+          results.set(segment.id, result);
+          translator.saveResult(keyFor(segment.id), requests.get(segment.id)!, result, context);
+        }
+      }
+
+      const scores = context.quality
+        ? await quality.assess(qualityItems(body, segments, results), body.targetLang, context, job!.signal)
+        : undefined;
+
+      setCacheHeaders(res, segments.length - misses.length, misses.length);
+      res.json({
+        translations: body.segments.map((s) => {
+          const id = String(s.id);
+          const result = results.get(id) ?? { translated: "" };
+          return {
+            id: s.id,
+            ...result,
+            glossaryWarnings: translator.glossaryWarningsFor(requests.get(id)!, result.translated),
+            ...(scores && { quality: scores.get(id) }),
+          };
+        }),
+        provider: provider.name,
+      });
+    } catch (err) {
+      // Stored translations cannot throw, so a failure always belongs to the job
+      const { status, error } = jobFailure(job!, `Batch translation error (${provider.name})`, err);
+      if (!res.headersSent) res.status(status).json({ error, jobId: job!.id });
+    } finally {
+      job?.finish();
+    }
+  });
+
+  /**
+   * Streaming variant of POST /translate/batch. Responds with NDJSON events:
+   *   { type: "queued", jobId, position }   - waiting for a free slot (repeats as the queue moves)
+   *   { type: "started", jobId }            - the provider call has begun; DELETE /jobs/:id cancels it
+   *   { type: "segment", id, translated }   - one per segment, as each completes (with the
+   *                                           structured fields for structured requests)
+   *   { type: "quality", id, score, low, ... } - one per segment once all are translated, if requested
+   *   { type: "done", provider }
+   *   { type: "error", error }
+   */
+  router.post("/batch/stream", async (req, res): Promise<void> => {
+    const body = req.body as BatchTranslateRequestBody;
+    const segments = parseBatchBody(res, body);
+    if (!segments) return;
+
+    const context = translator.resolveContext(res, body);
+    if (!context) return;
+    const { provider, structured } = context;
+
+    const requests = new Map(segments.map((s) => [s.id, translator.requestFor(s.text, segmentLangs(body, s), context)]));
+    const keyFor = (id: string) => translator.cacheKeyFor(provider, requests.get(id)!, structured);
+
+    // Echo ids back in the type the client sent them
+    const originalIds = new Map(body.segments.map((s) => [String(s.id), s.id]));
+    const hits: [string, StoredTranslation][] = [];
+    const misses: TranslationSegment[] = [];
+    for (const segment of segments) {
+      const stored = translator.findStored(requests.get(segment.id)!, keyFor(segment.id), structured);
+      if (stored !== undefined) hits.push([segment.id, stored]);
+      else misses.push(segment);
+    }
+
+    setCacheHeaders(res, hits.length, misses.length);
+    const stream = startNdjson(res);
+
+    const results = new Map<string, StoredTranslation>();
+    const writeSegment = (id: string, result: StoredTranslation) => {
+      results.set(id, result);
+      stream.write({
+        type: "segment",
+        id: originalIds.get(id),
+        ...result,
+        glossaryWarnings: translator.glossaryWarningsFor(requests.get(id)!, result.translated),
+      });
+    };
+
+    for (const [id, result] of hits) {
+      writeSegment(id, result);
+    }
+
+    const job = misses.length > 0 || context.quality ? startJob(res, "translate/batch/stream", provider) : undefined;
+    try {
+      if (job) {
+        await job.wait((position) => stream.write({ type: "queued", jobId: job.id, position }));
+        stream.write({ type: "started", jobId: job.id });
+      }
+
+      if (misses.length > 0) {
+        const request = { ...translator.batchRequestFor(misses, body, context), signal: job!.signal };
+        for await (const [id, result] of streamBatchResults(provider, request, structured)) {
+          if (stream.closed()) break;
+          translator.saveResult(keyFor(id), requests.get(id)!, result, context);
+          writeSegment(id, result);
+        }
+      }
+
+      if (context.quality && !stream.closed()) {
+        const scores = await quality.assess(qualityItems(body, segments, results), body.targetLang, context, job!.signal);
+        for (const [id, score] of scores) {
+          stream.write({ type: "quality", id: originalIds.get(id), ...score });
+        }
+      }
+      stream.write({ type: "done", provider: provider.name });
+    } catch (err) {
+      // Stored translations cannot throw, so a failure always belongs to the job
+      const { error } = jobFailure(job!, `Streaming batch translation error (${provider.name})`, err);
+      stream.write({ type: "error", error, jobId: job!.id });
+    } finally {
+      job?.finish();
+    }
+    res.end();
+  });
+
+  return router;
+}
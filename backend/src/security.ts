@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import type { ErrorRequestHandler, Request, RequestHandler } from "express";
+import type { SecurityConfig } from "./config.js";
+import { setAsideCorruptFile, writeFileAtomic } from "./storage.js";
+
+interface AuthFile {
+  token: string;
+  pairedOrigins: string[];
+}
+
+export interface AuthStore {
+  /** Code shown in the server console that an extension trades for the token */
+  readonly pairingCode: string;
+  verifyToken(token: string | undefined): boolean;
+  /** Requests without an Origin header come from non-browser clients and are allowed */
+  isOriginAllowed(origin: string | undefined): boolean;
+  /**
+   * Exchange the pairing code for the token, remembering the extension's origin.
+   * Returns undefined when the code is wrong or the origin is not an extension.
+   */
+  pair(code: string, origin: string | undefined): string | undefined;
+}
+
+const EXTENSION_ORIGIN = /^(chrome|moz)-extension:\/\/[\w-]+$/;
+
+// Wrong codes before the pairing code is replaced, so it cannot be guessed
+const MAX_PAIRING_ATTEMPTS = 5;
+
+function newPairingCode(): string {
+  const digits = crypto.randomInt(0, 100_000_000).toString().padStart(8, "0");
+  return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+}
+
+function sameSecret(a: string, b: string): boolean {
+  // Hash first so timingSafeEqual always compares equal-length buffers
+  const hash = (value: string) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Token and paired origins, persisted in config.authPath.
+ * A token from the config file or TRANSLATOR_TOKEN takes precedence over the generated one.
+ */
+export function createAuthStore(config: SecurityConfig): AuthStore {
+  const resolvedPath = path.resolve(config.authPath);
+  let saved: Partial<AuthFile> = {};
+  if (fs.existsSync(resolvedPath)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(resolvedPath, "utf8")) as Partial<AuthFile>;
+    } catch (err) {
+      const asidePath = setAsideCorruptFile(resolvedPath);
+      console.warn(
+        `Skipping corrupt auth file ${resolvedPath} (moved to ${asidePath}):`, (err as Error).message,
+        "- a new token was generated, pair the extension again",
+      );
+    }
+  }
+
+  const auth: AuthFile = {
+    token: saved.token || crypto.randomBytes(32).toString("base64url"),
+    pairedOrigins: saved.pairedOrigins ?? [],
+  };
+  const token = config.token || auth.token;
+
+  function save(): void {
+    writeFileAtomic(resolvedPath, JSON.stringify(auth, null, 2), 0o600);
+  }
+
+  if (!saved.token) save();
+
+  let pairingCode = newPairingCode();
+  let failedAttempts = 0;
+
+  return {
+    get pairingCode() {
+      return pairingCode;
+    },
+
+    verifyToken: (candidate) => candidate !== undefined && sameSecret(candidate, token),
+
+    isOriginAllowed: (origin) =>
+      origin === undefined || config.allowedOrigins.includes(origin) || auth.pairedOrigins.includes(origin),
+
+    pair(code, origin) {
+      if (!origin || !EXTENSION_ORIGIN.test(origin)) return undefined;
+
+      if (!sameSecret(code.trim(), pairingCode)) {
+        if (++failedAttempts >= MAX_PAIRING_ATTEMPTS) {
+          pairingCode = newPairingCode();
+          failedAttempts = 0;
+          console.warn(`Too many wrong pairing codes - new code: ${pairingCode}`);
+        }
+        return undefined;
+      }
+
+      if (!auth.pairedOrigins.includes(origin)) {
+        auth.pairedOrigins.push(origin);
+        save();
+      }
+      console.log(`Paired ${origin}`);
+      return token;
+    },
+  };
+}
+
+function bearerToken(req: Request): string | undefined {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  return match?.[1];
+}
+
+/**
+ * Reject browser requests from origins that are neither paired nor configured,
+ * then require the shared token
+ */
+export function requireAuth(auth: AuthStore): RequestHandler {
+  return (req, res, next) => {
+    if (!auth.isOriginAllowed(req.headers.origin)) {
+      res.status(403).json({ error: `origin ${req.headers.origin} is not allowed` });
+      return;
+    }
+    if (!auth.verifyToken(bearerToken(req))) {
+      res.status(401).json({ error: "missing or invalid token - pair the extension with the server" });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Report body parser and upload errors as JSON instead of Express's HTML error page
+ */
+export const requestErrorHandler: ErrorRequestHandler = (err, _req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+
+  const { type, code, limit } = err as { type?: string; code?: string; limit?: number };
+  if (type === "entity.too.large" || code === "LIMIT_FILE_SIZE") {
+    res.status(413).json({ error: "request body is too large", ...(limit && { limitBytes: limit }) });
+  } else if (type === "entity.parse.failed") {
+    res.status(400).json({ error: "request body is not valid JSON" });
+  } else {
+    console.error("Unhandled request error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+};
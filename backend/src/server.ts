@@ -1,83 +1,76 @@
+import path from "node:path";
 import express from "express";
 import cors from "cors";
-import ollama from "ollama";
-
-const app = express();
-const PORT = 3000;
-
-app.use(cors());
-app.use(express.json());
-
-interface TranslateRequestBody {
-  text: string;
-  sourceLang?: string; // e.g. "ja", optional
-  targetLang: string;  // e.g. "en"
-}
-
-async function translateWithOllama({
-  text,
-  sourceLang,
-  targetLang,
-}: TranslateRequestBody): Promise<string> {
-  // Enhanced prompt for manga/comic dialogue translation
-  const prompt = `Translate this manga/comic text to natural ${targetLang}:
-
-${text}
-
-Provide only the translation, making it sound natural as dialogue or narration.`;
-
-  const response = await ollama.chat({
-    model: "aya:8b",
-    messages: [
-      {
-        role: "system",
-        content: `You are an expert manga and comic translator. Your job is to:
-
-1. UNDERSTAND the context: This is dialogue or narration from a manga/comic. The text may be fragmented, have unusual line breaks, or contain sound effects.
-
-2. RECONSTRUCT meaning: Piece together fragments into coherent sentences. If text appears broken or out of order (common in OCR), infer the intended reading order.
+import { createTranslationCache } from "./cache.js";
+import { createChapterJobStore } from "./chapters.js";
+import { loadConfig } from "./config.js";
+import { createGlossaryStore } from "./glossary.js";
+import { createJobQueue } from "./jobs.js";
+import { createTranslationMemory } from "./memory.js";
+import { createOcrService } from "./ocr.js";
+import { createProfileStore } from "./profiles.js";
+import { createProviderRegistry } from "./providers/index.js";
+import { createQualityChecker } from "./quality.js";
+import { createRenderer } from "./render.js";
+import { createCacheRouter } from "./routes/cache.js";
+import { createGlossaryRouter } from "./routes/glossaries.js";
+import { createJobRouter } from "./routes/jobs.js";
+import { createMemoryRouter } from "./routes/memory.js";
+import { createOcrRouter } from "./routes/ocr.js";
+import { createPairRouter } from "./routes/pair.js";
+import { createProfileRouter } from "./routes/profiles.js";
+import { createRenderRouter } from "./routes/render.js";
+import { createStatusRouter } from "./routes/status.js";
+import { CACHE_HEADERS, createTranslateRouter } from "./routes/translate.js";
+import { createAuthStore, requestErrorHandler, requireAuth } from "./security.js";
+import { createTranslator } from "./translator.js";
+
+const config = loadConfig();
+const providers = createProviderRegistry(config);
+const cache = createTranslationCache(config.cache.path, config.cache.enabled);
+const memory = createTranslationMemory(config.memory.path, config.memory.enabled);
+const glossaries = createGlossaryStore(config.glossaries.path);
+const ocr = createOcrService(config.ocr);
+const renderer = createRenderer(config.render);
+const jobs = createJobQueue(config.jobs);
+const auth = createAuthStore(config.security);
+const profiles = createProfileStore({
+  builtInDir: path.resolve(__dirname, "../profiles"),
+  ...config.profiles,
+});
 
-3. TRANSLATE naturally: Convert to natural, conversational ${targetLang} that sounds like how people actually speak. For dialogue, make it sound like real conversation. For narration, make it flow smoothly.
+const translator = createTranslator({ providers, cache, memory, glossaries, profiles });
+const quality = createQualityChecker(translator, config.quality);
+const chapters = createChapterJobStore({ ocr, translator, quality, jobs });
 
-4. PRESERVE tone: Keep emotional tone (angry, sad, excited, sarcastic) and speaking style (formal, casual, childish, dramatic).
+const app = express();
+const PORT = config.port;
 
-5. HANDLE special elements:
-   - Sound effects: Translate or transliterate appropriately (e.g., ドキドキ → *thump thump* or *heart pounding*)
-   - Emphasis: Preserve emphasis using caps, italics notation, or punctuation
-   - Incomplete sentences: Complete them naturally if meaning is clear
+// CORS headers only go to allowed origins; requireAuth rejects the rest outright
+app.use(cors({ origin: (origin, callback) => callback(null, auth.isOriginAllowed(origin)), exposedHeaders: CACHE_HEADERS }));
 
-OUTPUT: Only the final natural translation. No explanations, notes, or alternatives.`
-      },
-      { 
-        role: "user", 
-        content: prompt 
-      }
-    ],
-    options: {
-      temperature: 0.3, // Slightly higher for more natural language
-    }
-  });
+app.use("/pair", createPairRouter(auth));
+app.use(requireAuth(auth));
 
-  return response.message.content.trim();
-}
+// Mounted before the global JSON parser: they accept much larger bodies
+app.use("/ocr", createOcrRouter(ocr));
+app.use("/jobs", createJobRouter({ jobs, chapters, translator }));
+app.use("/render", createRenderRouter(renderer));
 
-app.post("/translate", async (req, res): Promise<void> => {
-  const { text, sourceLang, targetLang } = req.body as TranslateRequestBody;
+app.use(express.json({ limit: config.security.maxBodyBytes }));
 
-  if (!text || !targetLang) {
-    res.status(400).json({ error: "text and targetLang are required" });
-    return;
-  }
+app.use(createStatusRouter(providers));
+app.use("/translate", createTranslateRouter({ translator, quality, jobs, limits: config.security }));
+app.use("/cache", createCacheRouter(cache));
+app.use("/memory", createMemoryRouter(memory));
+app.use("/glossaries", createGlossaryRouter(glossaries));
+app.use("/profiles", createProfileRouter(profiles));
 
-  try {
-    const translated = await translateWithOllama({ text, sourceLang, targetLang });
-    res.json({ translated });
-  } catch (err) {
-    console.error("Translation error:", err);
-    res.status(500).json({ error: "translation_failed" });
-  }
-});
+app.use(requestErrorHandler);
 
 app.listen(PORT, () => {
   console.log(`Translation server running at http://localhost:${PORT}`);
+  console.log(`Providers: ${providers.names().join(", ")} (default: ${providers.defaultName})`);
+  console.log(`Translation jobs: ${config.jobs.concurrency} at a time, ${config.jobs.timeoutMs} ms timeout`);
+  console.log(`Pairing code for the extension options page: ${auth.pairingCode}`);
 });
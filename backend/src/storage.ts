@@ -0,0 +1,31 @@
+/**
+ * File persistence shared by the cache, translation memory, glossary and auth stores
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Write to a temporary file next to filePath and rename it over the old one,
+ * so a crash or a full disk never leaves a half-written file behind
+ */
+export function writeFileAtomic(filePath: string, data: string, mode?: number): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, data, mode === undefined ? undefined : { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Move a file that could not be read out of the way, so the next write does not
+ * overwrite what may still be recovered by hand. Returns where it was moved.
+ */
+export function setAsideCorruptFile(filePath: string): string {
+  const asidePath = `${filePath}.corrupt-${Date.now()}`;
+  fs.renameSync(filePath, asidePath);
+  return asidePath;
+}
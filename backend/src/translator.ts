@@ -0,0 +1,245 @@
+import type { Response } from "express";
+import { cacheModelId, type CacheKeyParts, type TranslationCache } from "./cache.js";
+import {
+  checkGlossary,
+  glossaryFingerprint,
+  relevantEntries,
+  type Glossary,
+  type GlossaryStore,
+  type GlossaryWarning,
+} from "./glossary.js";
+import type { Job, JobAbortReason } from "./jobs.js";
+import type { TranslationMemory } from "./memory.js";
+import type { ProfileStore, PromptProfile } from "./profiles.js";
+import { promptVersionFor } from "./prompt.js";
+import {
+  streamSegments,
+  streamStructuredSegments,
+  translateSegments,
+  translateStructured,
+  type BatchTranslationRequest,
+  type ProviderRegistry,
+  type StructuredTranslation,
+  type TranslationProvider,
+  type TranslationRequest,
+  type TranslationSegment,
+} from "./providers/index.js";
+
+/** Options shared by every translation request; named resources fall back to the server default */
+export interface RequestSelection {
+  provider?: string;    // name from config.providers, defaults to config.defaultProvider
+  glossary?: string;    // name of a stored glossary to apply
+  profile?: string;     // prompt profile name, defaults to config.profiles.defaultProfile
+  structured?: boolean; // also return detectedLang, segmentType and notes
+  quality?: boolean;    // also score each translation by back-translation and OCR confidence
+  pageUrl?: string;     // page the text came from, recorded in the translation memory
+}
+
+export interface RequestContext {
+  provider: TranslationProvider;
+  glossary?: Glossary;
+  profile: PromptProfile;
+  structured: boolean;
+  quality: boolean;
+  pageUrl?: string;
+}
+
+export interface LanguagePair {
+  sourceLang?: string;
+  targetLang: string;
+}
+
+/** A translation found without calling the provider */
+export type StoredTranslation = StructuredTranslation & { cached?: true; memory?: true };
+
+/**
+ * Translate one text. In plain mode the result only has `translated`.
+ */
+export async function translateResult(
+  provider: TranslationProvider,
+  request: TranslationRequest,
+  structured: boolean
+): Promise<StructuredTranslation> {
+  return structured ? translateStructured(provider, request) : { translated: await provider.translate(request) };
+}
+
+/**
+ * Translate a batch, returning results keyed by segment id
+ */
+export async function translateBatchResults(
+  provider: TranslationProvider,
+  request: BatchTranslationRequest,
+  structured: boolean
+): Promise<Map<string, StructuredTranslation>> {
+  const results = new Map<string, StructuredTranslation>();
+  if (structured) {
+    for await (const [id, result] of streamStructuredSegments(provider, request)) results.set(id, result);
+  } else {
+    for (const [id, translated] of await translateSegments(provider, request)) results.set(id, { translated });
+  }
+  return results;
+}
+
+/**
+ * Stream `[id, result]` pairs for a batch as segments complete
+ */
+export async function* streamBatchResults(
+  provider: TranslationProvider,
+  request: BatchTranslationRequest,
+  structured: boolean
+): AsyncIterable<[string, StructuredTranslation]> {
+  if (structured) {
+    yield* streamStructuredSegments(provider, request);
+    return;
+  }
+  for await (const [id, translated] of streamSegments(provider, request)) yield [id, { translated }];
+}
+
+/**
+ * Log a failed job and pick the error to report. Cancelled and timed-out jobs
+ * get their own codes so clients can tell them apart from provider errors.
+ */
+export function jobFailure(job: Job, label: string, err: unknown): { status: number; error: string } {
+  const reason = job.signal.aborted ? (job.signal.reason as JobAbortReason) : undefined;
+  if (!reason) {
+    console.error(`${label}:`, err);
+    return { status: 500, error: "translation_failed" };
+  }
+
+  console.warn(`${label}: job ${job.id} ${reason}`);
+  return reason === "timeout"
+    ? { status: 504, error: "translation_timeout" }
+    : { status: 409, error: "job_cancelled" };
+}
+
+export interface TranslatorDeps {
+  providers: ProviderRegistry;
+  cache: TranslationCache;
+  memory: TranslationMemory;
+  glossaries: GlossaryStore;
+  profiles: ProfileStore;
+}
+
+export interface Translator {
+  /**
+   * Resolve the provider, glossary and prompt profile a request names.
+   * Sends a 400 and returns undefined if any of them does not exist.
+   */
+  resolveContext(res: Response, selection: RequestSelection): RequestContext | undefined;
+  /** The provider request for one text, with the glossary terms that occur in it */
+  requestFor(text: string, langs: LanguagePair, context: RequestContext): TranslationRequest;
+  batchRequestFor(segments: TranslationSegment[], langs: LanguagePair, context: RequestContext): BatchTranslationRequest;
+  cacheKeyFor(provider: TranslationProvider, request: TranslationRequest, structured: boolean): CacheKeyParts;
+  /**
+   * An imported translation-memory match, else a cached translation.
+   * Imported entries are reviewed translations, so they win over model output.
+   */
+  findStored(request: TranslationRequest, key: CacheKeyParts, structured: boolean): StoredTranslation | undefined;
+  /** Cache a fresh translation and record it in the translation memory */
+  saveResult(key: CacheKeyParts, request: TranslationRequest, result: StructuredTranslation, context: RequestContext): void;
+  /** Glossary warnings for a translation, or undefined when no glossary applies */
+  glossaryWarningsFor(request: TranslationRequest, translated: string): GlossaryWarning[] | undefined;
+}
+
+/**
+ * Request building, caching and memory lookups shared by the translate routes and chapter jobs
+ */
+export function createTranslator({ providers, cache, memory, glossaries, profiles }: TranslatorDeps): Translator {
+  /**
+   * Structured results are cached as JSON, plain ones as the bare translation
+   */
+  function readCache(key: CacheKeyParts, structured: boolean): StructuredTranslation | undefined {
+    const value = cache.get(key);
+    if (value === undefined) return undefined;
+    return structured ? (JSON.parse(value) as StructuredTranslation) : { translated: value };
+  }
+
+  return {
+    resolveContext(res, selection) {
+      const provider = providers.get(selection.provider);
+      if (!provider) {
+        res.status(400).json({ error: `unknown provider "${selection.provider}"`, providers: providers.names() });
+        return undefined;
+      }
+
+      const glossary = selection.glossary ? glossaries.get(selection.glossary) : undefined;
+      if (selection.glossary && !glossary) {
+        res.status(400).json({ error: `unknown glossary "${selection.glossary}"` });
+        return undefined;
+      }
+
+      const profile = profiles.get(selection.profile);
+      if (!profile) {
+        res.status(400).json({ error: `unknown profile "${selection.profile}"`, profiles: profiles.list().map((p) => p.name) });
+        return undefined;
+      }
+
+      const pageUrl = typeof selection.pageUrl === "string" ? selection.pageUrl : undefined;
+      return {
+        provider,
+        glossary,
+        profile,
+        structured: selection.structured === true,
+        quality: selection.quality === true,
+        pageUrl,
+      };
+    },
+
+    requestFor(text, { sourceLang, targetLang }, { glossary, profile }) {
+      return {
+        text,
+        sourceLang,
+        targetLang,
+        profile,
+        ...(glossary && { glossary: relevantEntries(glossary, [text]) }),
+      };
+    },
+
+    batchRequestFor(segments, { sourceLang, targetLang }, { glossary, profile }) {
+      return {
+        segments,
+        sourceLang,
+        targetLang,
+        profile,
+        ...(glossary && { glossary: relevantEntries(glossary, segments.map((s) => s.text)) }),
+      };
+    },
+
+    cacheKeyFor(provider, request, structured) {
+      // Glossary terms change the prompt, so they are part of the prompt version
+      const fingerprint = glossaryFingerprint(request.glossary ?? []);
+      const promptVersion = promptVersionFor(request.profile, structured);
+      return {
+        text: request.text,
+        sourceLang: request.sourceLang,
+        targetLang: request.targetLang,
+        model: cacheModelId(provider),
+        promptVersion: fingerprint ? `${promptVersion}+glossary:${fingerprint}` : promptVersion,
+      };
+    },
+
+    findStored(request, key, structured) {
+      const match = memory.lookup(request.text, request.sourceLang, request.targetLang);
+      if (match) return { translated: match.target, memory: true };
+
+      const cached = readCache(key, structured);
+      return cached && { ...cached, cached: true };
+    },
+
+    saveResult(key, request, result, { provider, structured, pageUrl }) {
+      cache.set(key, structured ? JSON.stringify(result) : result.translated);
+      memory.record({
+        source: request.text,
+        target: result.translated,
+        sourceLang: result.detectedLang ?? request.sourceLang ?? "auto",
+        targetLang: request.targetLang,
+        model: cacheModelId(provider),
+        pageUrl,
+      });
+    },
+
+    glossaryWarningsFor(request, translated) {
+      return request.glossary && checkGlossary(request.text, translated, request.glossary);
+    },
+  };
+}
@@ -1,12 +1,16 @@
 // background.js (service worker)
 
+import { getLanguagePack, installLanguagePack } from "./languagePacks.js";
+
 console.log("🟢 Background service worker started");
 
+const SERVER_URL = "http://localhost:3000";
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   console.log("Background received message:", msg.type);
   
   if (msg.type === "TRANSLATE_TEXT") {
-    translateLocally(msg.text, msg.targetLang || "en")
+    translateLocally(msg.text, msg.targetLang || "en", translationOptions(msg))
       .then((translated) => {
         sendResponse({ translated });
       })
@@ -17,6 +21,155 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  if (msg.type === "RETRANSLATE") {
+    retranslateLocally(msg.text, msg.targetLang || "en", translationOptions(msg))
+      .then((translation) => sendResponse({ translation }))
+      .catch((err) => {
+        console.error("Re-translation error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "LIST_GLOSSARIES") {
+    serverFetch("/glossaries")
+      .then((res) => {
+        if (!res.ok) throw new Error("Glossary API error");
+        return res.json();
+      })
+      .then((data) => sendResponse({ glossaries: data.glossaries }))
+      .catch((err) => {
+        console.error("Glossary list error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "LIST_PROFILES") {
+    serverFetch("/profiles")
+      .then((res) => {
+        if (!res.ok) throw new Error("Profile API error");
+        return res.json();
+      })
+      .then((data) => sendResponse({ profiles: data.profiles, defaultProfile: data.defaultProfile }))
+      .catch((err) => {
+        console.error("Profile list error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "SUBMIT_CHAPTER") {
+    submitChapterLocally(msg.images, msg.ocrLang, msg.readingDirection, msg.targetLang || "en", translationOptions(msg))
+      .then((job) => sendResponse({ job }))
+      .catch((err) => {
+        console.error("Chapter job error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "GET_JOB") {
+    serverFetch(`/jobs/${encodeURIComponent(msg.id)}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Job API error (HTTP ${res.status})`);
+        return res.json();
+      })
+      .then((job) => sendResponse({ job }))
+      .catch((err) => {
+        console.error("Job lookup error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "SAVE_RENDERED") {
+    saveRenderedLocally(msg.pages, msg.fileName, msg.pageUrl)
+      .then(() => sendResponse({ saved: true }))
+      .catch((err) => {
+        console.error("Render error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "SERVER_OCR") {
+    ocrLocally(msg.image, msg.lang)
+      .then((result) => sendResponse({ result }))
+      .catch((err) => {
+        console.error("Server OCR error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "GET_LANGUAGE_PACK") {
+    getLanguagePack(msg.code)
+      .then((pack) => {
+        if (!pack) {
+          sendResponse({
+            error: true,
+            message: `OCR language "${msg.code}" is not installed - add it under Language packs in the extension options`
+          });
+          return;
+        }
+        // Messages are JSON, so the data travels as base64
+        sendResponse({ pack: { code: pack.code, version: pack.version, data: bytesToBase64(pack.data) } });
+      })
+      .catch((err) => {
+        console.error("Language pack error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "LIST_SERVER_LANGUAGES") {
+    serverFetch("/ocr/languages")
+      .then((res) => {
+        if (!res.ok) throw new Error(`Language list error (HTTP ${res.status})`);
+        return res.json();
+      })
+      .then((data) => sendResponse({ languages: data.languages }))
+      .catch((err) => {
+        console.error("Server language list error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "INSTALL_SERVER_LANGUAGE") {
+    installServerLanguage(msg.code)
+      .then((pack) => sendResponse({ pack }))
+      .catch((err) => {
+        console.error("Language pack download error in background:", err);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
+  if (msg.type === "PAIR_SERVER") {
+    pairWithServer(msg.code)
+      .then(() => sendResponse({ paired: true }))
+      .catch((err) => sendResponse({ error: true, message: err.message }));
+    return true;
+  }
+
+  if (msg.type === "CHECK_HEALTH") {
+    checkHealth().then(sendResponse);
+    return true;
+  }
+
+  // Fetch an image's original file, bypassing the page's CORS rules
+  if (msg.type === "FETCH_IMAGE") {
+    fetchImageViaOffscreen(msg.url)
+      .then((dataUrl) => sendResponse({ dataUrl }))
+      .catch((err) => {
+        console.error("Background: Image fetch failed:", err.message);
+        sendResponse({ error: true, message: err.message });
+      });
+    return true;
+  }
+
   // Capture a specific region of the visible tab
   if (msg.type === "CAPTURE_IMAGE_REGION") {
     console.log("Background: CAPTURE_IMAGE_REGION request");
@@ -36,11 +189,89 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return false;
 });
 
+// Streaming translations use a long-lived port so chunks can be relayed
+// to the content script as they arrive
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "translate-stream") return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener((msg) => {
+    let path, body;
+    if (msg.type === "TRANSLATE_STREAM") {
+      path = "/translate/stream";
+      body = { text: msg.text, targetLang: msg.targetLang || "en", ...translationOptions(msg) };
+    } else if (msg.type === "TRANSLATE_BATCH_STREAM") {
+      path = "/translate/batch/stream";
+      body = { segments: msg.segments, targetLang: msg.targetLang || "en", ...translationOptions(msg) };
+    } else {
+      return;
+    }
+
+    streamLocally(path, body, (event) => port.postMessage(event), controller.signal)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error("Streaming translation error in background:", err);
+        port.postMessage({ type: "error", error: err.message });
+      });
+  });
+});
+
+const OFFSCREEN_DOCUMENT = "offscreen.html";
+// Pending createDocument call, so concurrent fetches do not try to create the document twice
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length > 0) return;
+
+  offscreenCreating ||= chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT,
+    reasons: ["BLOBS"],
+    justification: "Fetch the original files of cross-origin images for OCR"
+  }).finally(() => {
+    offscreenCreating = null;
+  });
+  await offscreenCreating;
+}
+
+/**
+ * Fetch an image through the offscreen document (see offscreen.js)
+ * Resolves to a data URL of the original file
+ */
+async function fetchImageViaOffscreen(url) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ type: "OFFSCREEN_FETCH_IMAGE", url });
+  if (!response || response.error) {
+    throw new Error(response?.message || "Offscreen fetch failed");
+  }
+  return response.dataUrl;
+}
+
+// Chrome allows two captureVisibleTab calls per second; stitched captures ask for frames back to back
+const CAPTURE_INTERVAL_MS = 550;
+let nextCaptureAt = 0;
+
+/**
+ * Wait for this capture's slot under the rate limit
+ */
+async function throttleCapture() {
+  const now = Date.now();
+  const wait = nextCaptureAt - now;
+  nextCaptureAt = Math.max(now, nextCaptureAt) + CAPTURE_INTERVAL_MS;
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+}
+
 /**
  * Capture the visible tab and crop to a specific region
  */
 async function captureImageRegion(tabId, rect, devicePixelRatio = 1) {
   console.log("Background: Capturing tab", tabId, "rect:", rect);
+  await throttleCapture();
   
   // Capture the visible area of the tab
   const screenshotUrl = await chrome.tabs.captureVisibleTab(null, {
@@ -90,13 +321,81 @@ function blobToDataUrl(blob) {
   });
 }
 
-async function translateLocally(text, targetLang) {
-  const res = await fetch("http://localhost:3000/translate", {
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Download a language's traineddata from the server into the pack store
+ */
+async function installServerLanguage(code) {
+  const res = await serverFetch(`/ocr/languages/${encodeURIComponent(code)}`);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Language download error (HTTP ${res.status})`);
+  }
+  return installLanguagePack(code, new Uint8Array(await res.arrayBuffer()), "server");
+}
+
+/**
+ * Optional per-request settings forwarded from the content script
+ */
+function translationOptions(msg) {
+  return {
+    ...(msg.provider && { provider: msg.provider }),
+    ...(msg.glossary && { glossary: msg.glossary }),
+    ...(msg.profile && { profile: msg.profile }),
+    ...(msg.sourceLang && { sourceLang: msg.sourceLang }),
+    ...(msg.structured && { structured: true }),
+    ...(msg.quality && { quality: true }),
+    ...(Number.isFinite(msg.ocrConfidence) && { ocrConfidence: msg.ocrConfidence }),
+    ...(msg.pageUrl && { pageUrl: msg.pageUrl })
+  };
+}
+
+/**
+ * fetch() against the local server, authenticated with the token saved at pairing
+ */
+async function serverFetch(path, init = {}) {
+  const { serverToken } = await chrome.storage.local.get("serverToken");
+  return fetch(`${SERVER_URL}${path}`, {
+    ...init,
+    headers: {
+      ...init.headers,
+      ...(serverToken && { Authorization: `Bearer ${serverToken}` })
+    }
+  });
+}
+
+/**
+ * Trade the pairing code shown by the server for its token
+ */
+async function pairWithServer(code) {
+  const res = await fetch(`${SERVER_URL}/pair`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code })
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.token) {
+    throw new Error(data.error || `Pairing failed (HTTP ${res.status})`);
+  }
+  await chrome.storage.local.set({ serverToken: data.token });
+}
+
+async function translateLocally(text, targetLang, options = {}) {
+  const res = await serverFetch("/translate", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({
       text,
-      targetLang
+      targetLang,
+      ...options
     })
   });
 
@@ -107,3 +406,128 @@ async function translateLocally(text, targetLang) {
   const data = await res.json();
   return data.translated;
 }
+
+/**
+ * Translate one text again, returning the whole response (structured fields, quality score)
+ */
+async function retranslateLocally(text, targetLang, options = {}) {
+  const res = await serverFetch("/translate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, targetLang, ...options })
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `Translation API error (HTTP ${res.status})`);
+  }
+  return data;
+}
+
+async function ocrLocally(image, lang) {
+  const res = await serverFetch("/ocr", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ image, lang })
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `OCR API error (HTTP ${res.status})`);
+  }
+
+  return res.json();
+}
+
+async function submitChapterLocally(images, ocrLang, readingDirection, targetLang, options = {}) {
+  const res = await serverFetch("/jobs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ images, ocrLang, readingDirection, targetLang, ...options })
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `Chapter job API error (HTTP ${res.status})`);
+  }
+  return data;
+}
+
+/**
+ * Render translated pages on the server and download the result:
+ * a PNG for a single page, a CBZ for several
+ */
+async function saveRenderedLocally(pages, fileName, pageUrl) {
+  const single = pages.length === 1;
+  const res = await serverFetch(single ? "/render" : "/render/chapter", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    // pageUrl is the Referer for pages the server fetches by URL
+    body: JSON.stringify(single ? { ...pages[0], pageUrl } : { pages, format: "cbz", pageUrl })
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Render API error (HTTP ${res.status})`);
+  }
+
+  // Service workers have no object URLs, so the download goes through a data URL
+  const url = await blobToDataUrl(await res.blob());
+  await chrome.downloads.download({ url, filename: `${fileName}.${single ? "png" : "cbz"}`, saveAs: true });
+}
+
+/**
+ * GET /health, reporting an unreachable or hung server instead of throwing
+ */
+async function checkHealth() {
+  try {
+    const res = await serverFetch("/health", { signal: AbortSignal.timeout(5000) });
+    if (res.status === 401 || res.status === 403) {
+      return { serverReachable: false, problem: "unpaired" };
+    }
+    if (!res.ok) {
+      return { serverReachable: false, problem: "server_error" };
+    }
+    return { serverReachable: true, health: await res.json() };
+  } catch (err) {
+    return {
+      serverReachable: false,
+      problem: err.name === "TimeoutError" ? "timeout" : "server_unreachable"
+    };
+  }
+}
+
+/**
+ * POST to a streaming endpoint and call onEvent for every NDJSON event
+ */
+async function streamLocally(path, body, onEvent, signal) {
+  const res = await serverFetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!res.ok || !res.body) {
+    throw new Error("Streaming translation API error");
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  }
+
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
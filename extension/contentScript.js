@@ -4,7 +4,12 @@
  * This script initializes the UI and coordinates the extension.
  * Functionality is split across multiple files:
  * - utils.js: Shared utilities (capture, translate, helpers)
- * - ocr.js: Tesseract OCR wrapper and language detection
+ * - sources.js: Finding images, canvases, CSS backgrounds and videos to scan
+ * - preprocess.js: Image cleanup before OCR (upscale, threshold, invert)
+ * - regions.js: Speech bubble and text region detection
+ * - readingOrder.js: Column and block reading order (RTL, LTR, webtoon)
+ * - ocr.js: Tesseract worker pool and language detection
+ * - review.js: Correcting OCR text before translation
  * - selection.js: Click & drag selection mode
  * - scanner.js: Auto-scan images on page
  * 
@@ -19,12 +24,21 @@ console.log("🔵 Image Translator v12 - Modular structure");
 
 let selectionMode = false;
 let ocrLanguage = "auto"; // "auto", "chi_sim", "chi_tra", "jpn", "jpn_vert", "kor", "eng"
+let activeGlossary = ""; // glossary name on the server, chosen per site
+let activeProfile = ""; // prompt profile name on the server, empty for the server default
+let preferServerOcr = false; // run OCR on the backend, falling back to in-page Tesseract
+let qualityCheck = false; // back-translate results on the server and flag doubtful blocks
+let providerNames = []; // providers from the last health check, offered for re-translation
 
 // Status panel state
 let statusPanel = null;
 let statusStartTime = null;
 let statusTimer = null;
 
+// Connection indicator state
+const CONNECTION_POLL_MS = 30000;
+let connectionTimer = null;
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -32,6 +46,15 @@ let statusTimer = null;
 function init() {
   injectStyles();
   createToolbar();
+  loadProfiles();
+  loadGlossaries();
+  loadReadingDirection();
+  loadOcrPreference();
+  loadPreprocessingSettings();
+  loadRegionSettings();
+  loadQualityPreference();
+  loadReviewPreference();
+  startConnectionMonitor();
   initSelectionEventListeners();
   console.log("✅ Image Translator initialized. Use toolbar to select regions or scan images.");
 }
@@ -53,6 +76,7 @@ function createToolbar() {
   toolbar.id = "image-translator-toolbar";
   toolbar.innerHTML = `
     <span class="it-label">🌐 Translator</span>
+    <span id="it-connection" class="it-connection" title="Checking connection...">● …</span>
     <select id="it-lang-select" title="OCR Language">
       <option value="auto">🔄 Auto-detect</option>
       <option value="chi_sim">🇨🇳 Chinese (Simplified)</option>
@@ -62,15 +86,41 @@ function createToolbar() {
       <option value="kor">🇰🇷 Korean</option>
       <option value="eng">🇬🇧 English</option>
     </select>
+    <select id="it-profile-select" title="Content type (prompt profile)"></select>
+    <select id="it-reading-select" title="Reading order for this site">
+      <option value="auto">📖 Auto order</option>
+      <option value="rtl">⬅ Right to left (manga)</option>
+      <option value="ltr">➡ Left to right (comics)</option>
+      <option value="ttb">⬇ Top down (webtoon)</option>
+    </select>
+    <select id="it-glossary-select" title="Glossary for this site">
+      <option value="">📖 No glossary</option>
+    </select>
+    <button id="it-server-ocr-btn" title="Run OCR on the local server (falls back to in-page OCR)">🖥 Server OCR</button>
+    <button id="it-quality-btn" title="Back-translate each block and flag doubtful translations (slower)">🔍 Check</button>
+    <button id="it-review-btn" title="Correct the recognized text before it is translated">✏ Review</button>
     <button id="it-select-btn">📋 Select</button>
     <button id="it-auto-btn">🔄 Scan</button>
+    <button id="it-frame-btn" title="Translate the current frame of the video in view">🎬 Frame</button>
+    <button id="it-chapter-btn" title="Translate every image on the page as one server job">📚 Chapter</button>
+    <button id="it-save-btn" title="Download the translated images (PNG, or CBZ for several)">💾 Save</button>
   `;
   document.body.appendChild(toolbar);
 
   // Event listeners
   document.getElementById("it-select-btn").addEventListener("click", toggleSelectionMode);
   document.getElementById("it-auto-btn").addEventListener("click", handleScanClick);
+  document.getElementById("it-frame-btn").addEventListener("click", translateVideoFrame);
+  document.getElementById("it-chapter-btn").addEventListener("click", translateChapter);
+  document.getElementById("it-save-btn").addEventListener("click", saveTranslatedImages);
   document.getElementById("it-lang-select").addEventListener("change", handleLanguageChange);
+  document.getElementById("it-profile-select").addEventListener("change", handleProfileChange);
+  document.getElementById("it-reading-select").addEventListener("change", handleReadingDirectionChange);
+  document.getElementById("it-glossary-select").addEventListener("change", handleGlossaryChange);
+  document.getElementById("it-server-ocr-btn").addEventListener("click", toggleServerOcr);
+  document.getElementById("it-quality-btn").addEventListener("click", toggleQualityCheck);
+  document.getElementById("it-review-btn").addEventListener("click", toggleOcrReview);
+  document.getElementById("it-connection").addEventListener("click", refreshConnectionStatus);
 }
 
 function handleScanClick() {
@@ -85,6 +135,113 @@ function handleLanguageChange(e) {
   updateStatus(`Language: ${langName}`, 0);
 }
 
+/**
+ * Fill the profile selector from the server and restore the saved choice
+ */
+function loadProfiles() {
+  chrome.runtime.sendMessage({ type: "LIST_PROFILES" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.log("Profiles unavailable:", response?.message || chrome.runtime.lastError?.message);
+      return;
+    }
+
+    const select = document.getElementById("it-profile-select");
+    for (const profile of response.profiles) {
+      const option = document.createElement("option");
+      option.value = profile.name;
+      option.textContent = `📝 ${profile.label}`;
+      option.title = profile.description || "";
+      select.appendChild(option);
+    }
+    select.value = response.defaultProfile;
+
+    chrome.storage.local.get("profile", ({ profile }) => {
+      if (profile && response.profiles.some((p) => p.name === profile)) {
+        activeProfile = profile;
+        select.value = profile;
+      }
+    });
+  });
+}
+
+function handleProfileChange(e) {
+  activeProfile = e.target.value;
+  chrome.storage.local.set({ profile: activeProfile });
+  updateStatus(`Profile: ${e.target.options[e.target.selectedIndex].text}`, 0);
+}
+
+/**
+ * Fill the glossary selector from the server and restore this site's choice
+ */
+function loadGlossaries() {
+  chrome.runtime.sendMessage({ type: "LIST_GLOSSARIES" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.log("Glossaries unavailable:", response?.message || chrome.runtime.lastError?.message);
+      return;
+    }
+
+    const select = document.getElementById("it-glossary-select");
+    for (const glossary of response.glossaries) {
+      const option = document.createElement("option");
+      option.value = glossary.name;
+      option.textContent = `📖 ${glossary.name} (${glossary.entryCount})`;
+      select.appendChild(option);
+    }
+
+    chrome.storage.local.get("glossaryBySite", ({ glossaryBySite = {} }) => {
+      const saved = glossaryBySite[location.hostname];
+      if (saved && response.glossaries.some((g) => g.name === saved)) {
+        activeGlossary = saved;
+        select.value = saved;
+        console.log("Glossary for this site:", saved);
+      }
+    });
+  });
+}
+
+function handleGlossaryChange(e) {
+  activeGlossary = e.target.value;
+
+  chrome.storage.local.get("glossaryBySite", ({ glossaryBySite = {} }) => {
+    if (activeGlossary) {
+      glossaryBySite[location.hostname] = activeGlossary;
+    } else {
+      delete glossaryBySite[location.hostname];
+    }
+    chrome.storage.local.set({ glossaryBySite });
+  });
+
+  updateStatus(activeGlossary ? `Glossary: ${activeGlossary}` : "No glossary", 0, location.hostname);
+}
+
+function loadOcrPreference() {
+  chrome.storage.local.get("preferServerOcr", (stored) => {
+    preferServerOcr = Boolean(stored.preferServerOcr);
+    document.getElementById("it-server-ocr-btn").classList.toggle("active", preferServerOcr);
+  });
+}
+
+function toggleServerOcr() {
+  preferServerOcr = !preferServerOcr;
+  chrome.storage.local.set({ preferServerOcr });
+  document.getElementById("it-server-ocr-btn").classList.toggle("active", preferServerOcr);
+  updateStatus(preferServerOcr ? "OCR: server (in-page fallback)" : "OCR: in-page", 0);
+}
+
+function loadQualityPreference() {
+  chrome.storage.local.get("qualityCheck", (stored) => {
+    qualityCheck = Boolean(stored.qualityCheck);
+    document.getElementById("it-quality-btn").classList.toggle("active", qualityCheck);
+  });
+}
+
+function toggleQualityCheck() {
+  qualityCheck = !qualityCheck;
+  chrome.storage.local.set({ qualityCheck });
+  document.getElementById("it-quality-btn").classList.toggle("active", qualityCheck);
+  updateStatus(qualityCheck ? "Quality check: on (back-translation)" : "Quality check: off", 0);
+}
+
 function toggleSelectionMode() {
   selectionMode = !selectionMode;
   const btn = document.getElementById("it-select-btn");
@@ -102,6 +259,44 @@ function toggleSelectionMode() {
   }
 }
 
+// ============================================
+// CONNECTION INDICATOR
+// ============================================
+
+function startConnectionMonitor() {
+  refreshConnectionStatus();
+  connectionTimer = setInterval(() => {
+    if (document.visibilityState === "visible") refreshConnectionStatus();
+  }, CONNECTION_POLL_MS);
+}
+
+/**
+ * Re-check the server and update the toolbar indicator
+ * Returns the connection info so callers can explain failures
+ */
+async function refreshConnectionStatus() {
+  const connection = await checkConnection();
+  const indicator = document.getElementById("it-connection");
+  if (!indicator) return connection;
+
+  const problem = describeConnectionProblem(connection);
+  const active = connection.health?.active;
+  if (connection.health) providerNames = connection.health.providers.map((p) => p.name);
+
+  indicator.classList.remove("it-conn-ok", "it-conn-warn", "it-conn-error");
+  if (!connection.serverReachable || active?.reachable === false) {
+    indicator.classList.add("it-conn-error");
+  } else if (problem) {
+    indicator.classList.add("it-conn-warn");
+  } else {
+    indicator.classList.add("it-conn-ok");
+  }
+
+  indicator.textContent = `● ${active?.model || active?.name || (connection.serverReachable ? "online" : "offline")}`;
+  indicator.title = problem || `Connected - ${active?.name} (${active?.kind}), ${active?.latencyMs} ms`;
+  return connection;
+}
+
 // ============================================
 // STATUS PANEL UI
 // ============================================
@@ -0,0 +1,90 @@
+// languagePacks.js - Tesseract traineddata kept in the extension's IndexedDB (imported by background.js)
+//
+// In-page OCR only uses languages installed here, so nothing is fetched from a CDN
+// at recognition time. A pack is { code, version, bytes, source, fileName?, installedAt, data }.
+
+const DB_NAME = "languagePacks";
+const STORE = "packs";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "code" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the pack store and resolve to its result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function isGzip(data) {
+  return data[0] === 0x1f && data[1] === 0x8b;
+}
+
+async function gunzip(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Short content hash, so the same data imported twice shows the same version
+ */
+async function packVersion(data) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+  return Array.from(digest.slice(0, 6), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Store traineddata (gzipped or not) for a language, replacing any earlier version
+ * Resolves to the pack's info, without the data
+ */
+export async function installLanguagePack(code, bytes, source, fileName) {
+  if (!/^[a-z_]+$/.test(code)) throw new Error(`Invalid language code "${code}"`);
+
+  const data = isGzip(bytes) ? await gunzip(bytes) : bytes;
+  const info = {
+    code,
+    version: await packVersion(data),
+    bytes: data.length,
+    source,
+    ...(fileName && { fileName }),
+    installedAt: new Date().toISOString()
+  };
+  await withStore("readwrite", (store) => store.put({ ...info, data }));
+  console.log(`Installed language pack ${code} (${info.version}, ${info.bytes} bytes, from ${source})`);
+  return info;
+}
+
+export function removeLanguagePack(code) {
+  return withStore("readwrite", (store) => store.delete(code));
+}
+
+/**
+ * Installed packs without their data. No language ships with the extension,
+ * English included: every pack is imported or copied from the server.
+ */
+export async function listLanguagePacks() {
+  const packs = await withStore("readonly", (store) => store.getAll());
+  return packs.map(({ data, ...info }) => info).sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * A pack with its data, or null when the language is not installed
+ */
+export async function getLanguagePack(code) {
+  return (await withStore("readonly", (store) => store.get(code))) || null;
+}
@@ -1,8 +1,228 @@
 /**
  * Image Translator - OCR Engine
- * Tesseract.js wrapper and language detection
+ * Tesseract.js worker pool, language packs and language detection
  */
 
+// ============================================
+// LANGUAGE PACKS
+// ============================================
+
+/**
+ * Traineddata for a language from the extension's pack store (see languagePacks.js)
+ * Rejects with a message saying how to install the language when it is missing
+ */
+function loadLanguagePack(code) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "GET_LANGUAGE_PACK", code }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.error) {
+        reject(new Error(response?.message || `OCR language "${code}" is unavailable`));
+        return;
+      }
+      resolve(response.pack);
+    });
+  });
+}
+
+/**
+ * Create a Tesseract worker that reads its language from the installed pack,
+ * never from the CDN. oem 0 loads the legacy engine, which orientation and
+ * script detection needs.
+ */
+async function createPackWorker(language, onMessage, oem = 1) {
+  if (language.includes("+")) {
+    throw new Error(`In-page OCR reads one language at a time; use server OCR for "${language}"`);
+  }
+
+  const pack = await loadLanguagePack(language);
+  const data = await (await fetch(`data:application/octet-stream;base64,${pack.data}`)).blob();
+
+  // tesseract.js 6 cannot initialize from in-memory language data, so the pack is served
+  // from a blob URL; the fragment swallows the "/<lang>.traineddata" Tesseract appends
+  const url = URL.createObjectURL(data);
+  try {
+    return await new Promise((resolve, reject) => {
+      Tesseract.createWorker(language, oem, {
+        langPath: `${url}#`,
+        gzip: false,
+        cacheMethod: "none",
+        ...(oem !== 1 && { legacyCore: true, legacyLang: true }),
+        logger: onMessage,
+        // Language data that fails to load otherwise leaves createWorker pending forever
+        errorHandler: (err) => {
+          console.error(`OCR worker error (${language}):`, err);
+          reject(err instanceof Error ? err : new Error(String(err)));
+        }
+      }).then(resolve, reject);
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// ============================================
+// WORKER POOL
+// ============================================
+
+// Each worker holds its own WASM heap and language data, so a tab keeps only a few
+const OCR_MAX_WORKERS = 2;
+const OCR_IDLE_TIMEOUT_MS = 60000;
+
+// { language, worker: Promise<Tesseract.Worker>, busy, onProgress, idleTimer }
+const ocrWorkers = [];
+// Recognitions waiting for a worker: { language, resolve, reject }
+const ocrWaiting = [];
+
+/**
+ * Start a worker for a language. Progress goes to whichever recognition
+ * currently holds the worker.
+ */
+function startOcrWorker(language) {
+  const entry = { language, busy: true, onProgress: null, idleTimer: null };
+  console.log(`Starting OCR worker (${language}), ${ocrWorkers.length + 1}/${OCR_MAX_WORKERS}`);
+
+  entry.worker = createPackWorker(language, (m) => entry.onProgress?.(m));
+  // Do not keep a worker that failed to start
+  entry.worker.catch(() => removeOcrWorker(entry));
+
+  ocrWorkers.push(entry);
+  return entry;
+}
+
+function removeOcrWorker(entry) {
+  const index = ocrWorkers.indexOf(entry);
+  if (index !== -1) ocrWorkers.splice(index, 1);
+  clearTimeout(entry.idleTimer);
+}
+
+/**
+ * Hand a worker to a recognition, switching its language if needed. A worker
+ * reads a single language pack, so switching replaces it with a fresh one.
+ */
+async function claimOcrWorker(entry, language) {
+  entry.busy = true;
+  clearTimeout(entry.idleTimer);
+
+  if (entry.language !== language) {
+    console.log(`Switching OCR worker ${entry.language} → ${language}`);
+    const previous = entry.worker;
+    entry.language = language;
+    entry.worker = createPackWorker(language, (m) => entry.onProgress?.(m));
+    (await previous.catch(() => null))?.terminate();
+    try {
+      await entry.worker;
+    } catch (e) {
+      // No worker for the new language (e.g. its pack is missing); free the slot instead
+      removeOcrWorker(entry);
+      releaseOcrWorker(entry);
+      throw e;
+    }
+  }
+  return entry;
+}
+
+/**
+ * A worker for this language: an idle one already loaded with it, a new one while
+ * under the cap, an idle one switched over from another language, or else the next
+ * one to free up
+ */
+function acquireOcrWorker(language) {
+  const warm = ocrWorkers.find((w) => !w.busy && w.language === language);
+  if (warm) return claimOcrWorker(warm, language);
+
+  if (ocrWorkers.length < OCR_MAX_WORKERS) return Promise.resolve(startOcrWorker(language));
+
+  const idle = ocrWorkers.find((w) => !w.busy);
+  if (idle) return claimOcrWorker(idle, language);
+
+  return new Promise((resolve, reject) => ocrWaiting.push({ language, resolve, reject }));
+}
+
+/**
+ * Give a worker back: to a waiting recognition (one for the same language
+ * first), or let it idle until the timeout shuts it down
+ */
+function releaseOcrWorker(entry) {
+  entry.busy = false;
+  entry.onProgress = null;
+
+  if (!ocrWorkers.includes(entry)) {
+    // The worker failed and was dropped; its slot goes to a fresh worker
+    const waiter = ocrWaiting.shift();
+    if (waiter) waiter.resolve(startOcrWorker(waiter.language));
+    return;
+  }
+
+  if (ocrWaiting.length > 0) {
+    const index = Math.max(0, ocrWaiting.findIndex((w) => w.language === entry.language));
+    const [waiter] = ocrWaiting.splice(index, 1);
+    claimOcrWorker(entry, waiter.language).then(waiter.resolve, waiter.reject);
+    return;
+  }
+
+  entry.idleTimer = setTimeout(async () => {
+    removeOcrWorker(entry);
+    console.log(`Stopping idle OCR worker (${entry.language})`);
+    (await entry.worker.catch(() => null))?.terminate();
+  }, OCR_IDLE_TIMEOUT_MS);
+}
+
+function toOcrWord({ text, confidence, bbox }) {
+  return { text, confidence, bbox };
+}
+
+/**
+ * Flatten Tesseract's block tree into paragraphs and lines, as the server's /ocr does.
+ * Vertical columns are put in reading order, and the text rebuilt to match.
+ */
+function toOcrResult(data) {
+  const paragraphs = [];
+  const lines = [];
+  let reordered = false;
+
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      const tesseractLines = paragraph.lines.map((line) => ({
+        ...toOcrWord(line),
+        words: line.words.map(toOcrWord)
+      }));
+      const paragraphLines = orderColumns(tesseractLines);
+      const columns = paragraphLines !== tesseractLines;
+      reordered ||= columns;
+
+      paragraphs.push({
+        ...toOcrWord(paragraph),
+        ...(columns && { text: paragraphLines.map((l) => l.text).join("") }),
+        lines: paragraphLines
+      });
+      lines.push(...paragraphLines);
+    }
+  }
+
+  const text = reordered ? paragraphs.map((p) => p.text).join("\n") : data.text;
+  return { text, confidence: data.confidence, paragraphs, lines };
+}
+
+/**
+ * Recognize an image (data URL or Blob) on a pooled worker. Images run in
+ * parallel up to the worker cap; onProgress receives Tesseract's logger messages.
+ */
+async function recognizeWithPool(image, language, onProgress) {
+  const entry = await acquireOcrWorker(language);
+  try {
+    entry.onProgress = onProgress;
+    const worker = await entry.worker;
+    // Tesseract.js only returns the block tree when asked for it
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+    return toOcrResult(data);
+  } finally {
+    releaseOcrWorker(entry);
+  }
+}
+
 // ============================================
 // LANGUAGE DETECTION
 // ============================================
@@ -41,70 +261,225 @@ function detectLanguageFromText(text) {
   return "eng";
 }
 
+// Tesseract OSD script names → OCR language. Han alone may also be kanji-only Japanese, see detectBlockLanguage()
+const SCRIPT_LANGUAGES = {
+  Japanese: "jpn",
+  Hiragana: "jpn",
+  Katakana: "jpn",
+  Hangul: "kor",
+  Korean: "kor",
+  Han: "chi_sim",
+  Latin: "eng"
+};
+// Languages with a vertical ("_vert") model
+const VERTICAL_LANGUAGES = ["jpn", "chi_sim", "chi_tra", "kor"];
+// OCR language → translation source language
+const SOURCE_LANGUAGES = { jpn: "ja", chi_sim: "zh", chi_tra: "zh-Hant", kor: "ko", eng: "en" };
+
+// OSD guesses below these confidences (as Tesseract reports them) are ignored
+const MIN_SCRIPT_CONFIDENCE = 1;
+const MIN_ORIENTATION_CONFIDENCE = 2;
+
+// OSD runs on its own legacy-engine worker, started on first use and ended when idle
+let osdWorker = null;
+let osdIdleTimer = null;
+
+function baseOcrLanguage(language) {
+  return language.replace(/_vert$/, "");
+}
+
+/**
+ * Source language to send with text recognized in an OCR language, or undefined
+ * when it has no known equivalent
+ */
+function sourceLanguageFor(ocrLanguage) {
+  return ocrLanguage ? SOURCE_LANGUAGES[baseOcrLanguage(ocrLanguage)] : undefined;
+}
+
+function getOsdWorker() {
+  if (!osdWorker) {
+    osdWorker = createPackWorker("osd", () => {}, 0);
+    // Retried on next use, so installing the osd pack takes effect without a reload
+    osdWorker.catch(() => { osdWorker = null; });
+  }
+
+  clearTimeout(osdIdleTimer);
+  osdIdleTimer = setTimeout(async () => {
+    const worker = osdWorker;
+    osdWorker = null;
+    (await worker?.catch(() => null))?.terminate();
+  }, OCR_IDLE_TIMEOUT_MS);
+  return osdWorker;
+}
+
+/**
+ * Tesseract orientation and script detection
+ * Resolves to { script, scriptConfidence, orientation, orientationConfidence },
+ * or null when the osd pack is not installed or there is too little text to tell
+ */
+async function detectScript(imageDataUrl) {
+  try {
+    const { data } = await (await getOsdWorker()).detect(imageDataUrl);
+    if (!data.script) return null;
+    return {
+      script: data.script,
+      scriptConfidence: data.script_confidence,
+      orientation: data.orientation_degrees,
+      orientationConfidence: data.orientation_confidence
+    };
+  } catch (e) {
+    console.log("Script detection unavailable:", e.message);
+    return null;
+  }
+}
+
+/**
+ * OCR language of one block of text, vertical when the script has a vertical
+ * model and the block is laid out in columns. Han on its own follows the page,
+ * as kanji-only bubbles on a Japanese page are still Japanese; blocks OSD
+ * cannot read take the page's language.
+ */
+async function detectBlockLanguage(imageDataUrl, pageLanguage = DETECTION_LANGUAGE) {
+  const [osd, layout] = await Promise.all([
+    detectScript(imageDataUrl),
+    textLayout(imageDataUrl).catch(() => null)
+  ]);
+  const pageBase = baseOcrLanguage(pageLanguage);
+
+  let language = osd && osd.scriptConfidence >= MIN_SCRIPT_CONFIDENCE ? SCRIPT_LANGUAGES[osd.script] : undefined;
+  if (language === "chi_sim" && VERTICAL_LANGUAGES.includes(pageBase)) language = pageBase;
+  language ||= pageBase;
+
+  // Without a clear layout, text OSD finds turned sideways is taken to be columns
+  const sideways = osd && osd.orientationConfidence >= MIN_ORIENTATION_CONFIDENCE && osd.orientation % 180 === 90;
+  const vertical = layout ? layout === "vertical" : sideways;
+  const detected = vertical && VERTICAL_LANGUAGES.includes(language) ? `${language}_vert` : language;
+
+  console.log(`Block language: ${detected} (script ${osd ? `${osd.script} ${osd.scriptConfidence.toFixed(1)}` : "unknown"}, layout ${layout || "unclear"})`);
+  return detected;
+}
+
 /**
- * Determine OCR language based on settings and dimensions
+ * Determine OCR language from the settings, or else from the text itself
  */
-function determineOcrLanguage(width, height) {
+async function determineOcrLanguage(imageDataUrl) {
   if (ocrLanguage !== "auto") {
     return ocrLanguage;
   }
 
-  const isVertical = isLikelyVerticalText(width, height);
+  const language = await detectBlockLanguage(imageDataUrl);
+  console.log(`Auto-detect: using ${language}`);
+  return language;
+}
 
-  if (isVertical) {
-    console.log("Auto-detect: Selection is tall - using jpn_vert");
-    return "jpn_vert";
-  } else {
-    console.log("Auto-detect: Selection is wide - using chi_sim");
-    return "chi_sim";
+// Language of the detection pass; its result doubles as the OCR result when it is also the detected language
+const DETECTION_LANGUAGE = "chi_sim";
+
+/**
+ * Detect the language of a page: OSD's script when it is unambiguous, or else
+ * an OCR pass whose characters tell Chinese, Japanese and Korean apart
+ * Resolves to { language, result }, result being the DETECTION_LANGUAGE
+ * recognition when that pass ran and null otherwise
+ * options: { screenshot } as for recognizeImage
+ */
+async function detectTextLanguageWithResult(imageDataUrl, options = {}) {
+  const osd = await detectScript(imageDataUrl);
+  if (osd && osd.scriptConfidence >= MIN_SCRIPT_CONFIDENCE && osd.script !== "Han" && SCRIPT_LANGUAGES[osd.script]) {
+    const language = SCRIPT_LANGUAGES[osd.script];
+    console.log(`Detected language: ${language} from script ${osd.script}`);
+    return { language, result: null };
+  }
+
+  let result = preferServerOcr ? await tryServerOcr(imageDataUrl, DETECTION_LANGUAGE) : null;
+  if (!result) {
+    // One preprocessed pass is enough to tell scripts apart
+    result = await recognizeImage(imageDataUrl, DETECTION_LANGUAGE, () => {}, { ...options, tryVariants: false }); // Silent
   }
+
+  const language = detectLanguageFromText(result.text);
+  console.log(`Detected language: ${language} from text: "${result.text.substring(0, 50)}..."`);
+  return { language, result };
 }
 
 /**
  * Quick OCR to detect language
  */
-async function detectTextLanguage(imageDataUrl) {
-  const result = await Tesseract.recognize(imageDataUrl, "chi_sim", {
-    logger: () => {} // Silent
-  });
-
-  const detectedLang = detectLanguageFromText(result.data.text);
-  console.log(`Detected language: ${detectedLang} from text: "${result.data.text.substring(0, 50)}..."`);
-  return detectedLang;
+async function detectTextLanguage(imageDataUrl, options = {}) {
+  return (await detectTextLanguageWithResult(imageDataUrl, options)).language;
 }
 
 // ============================================
 // OCR EXECUTION
 // ============================================
 
+/**
+ * Run OCR on the backend (POST /ocr)
+ * Resolves to the same shape as in-page results: text, confidence, paragraphs, lines
+ */
+function runServerOcr(imageDataUrl, language) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { type: "SERVER_OCR", image: imageDataUrl, lang: language },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.error) {
+          reject(new Error(response?.message || "Server OCR failed"));
+          return;
+        }
+        resolve(response.result);
+      }
+    );
+  });
+}
+
+/**
+ * Server OCR that resolves to null on failure, so callers can fall back to in-page OCR
+ */
+async function tryServerOcr(imageDataUrl, language) {
+  try {
+    return await runServerOcr(imageDataUrl, language);
+  } catch (e) {
+    console.warn(`Server OCR failed (${language}), falling back to in-page OCR:`, e.message);
+    return null;
+  }
+}
+
 /**
  * Run OCR with a specific language
+ * options: { screenshot } as for recognizeImage
  */
-async function runOcrWithLanguage(imageDataUrl, language) {
+async function runOcrWithLanguage(imageDataUrl, language, options = {}) {
+  if (preferServerOcr) {
+    updateStatus(`Recognizing (${language}) on server...`, 45);
+    const serverResult = await tryServerOcr(imageDataUrl, language);
+    if (serverResult) return serverResult;
+  }
+
   console.log(`🔍 Running OCR with ${language}...`);
 
-  const result = await Tesseract.recognize(imageDataUrl, language, {
-    logger: (m) => {
-      if (m.progress !== undefined && m.status === "recognizing text") {
-        const percent = Math.round(m.progress * 100);
-        updateStatus(`Recognizing (${language})...`, 45 + percent * 0.4, `${percent}%`);
-      }
+  return recognizeImage(imageDataUrl, language, (m) => {
+    if (m.progress !== undefined && m.status === "recognizing text") {
+      const percent = Math.round(m.progress * 100);
+      updateStatus(`Recognizing (${language})...`, 45 + percent * 0.4, `${percent}%`);
     }
-  });
-
-  return result.data;
+  }, options);
 }
 
 /**
  * Smart OCR with auto language detection and retry
+ * options: { screenshot } as for recognizeImage
  */
-async function ocrImage(imageDataUrl, selectionWidth = 100, selectionHeight = 100) {
-  const primaryLang = determineOcrLanguage(selectionWidth, selectionHeight);
+async function ocrImage(imageDataUrl, options = {}) {
+  updateStatus("Detecting language...", 5);
+  const primaryLang = await determineOcrLanguage(imageDataUrl);
 
   console.log(`🔍 Starting OCR with ${primaryLang}...`);
   updateStatus(`Running OCR (${primaryLang})...`, 10, "Loading language data...");
 
-  let result = await runOcrWithLanguage(imageDataUrl, primaryLang);
+  let result = { ...await runOcrWithLanguage(imageDataUrl, primaryLang, options), language: primaryLang };
 
   // If auto mode and low confidence, try alternate language
   if (ocrLanguage === "auto" && result.confidence < 40) {
@@ -116,11 +491,11 @@ async function ocrImage(imageDataUrl, selectionWidth = 100, selectionHeight = 10
       primaryLang === "chi_sim" ? "jpn" : "chi_sim";
 
     updateStatus(`Low confidence, trying ${alternateLang}...`, 50);
-    const altResult = await runOcrWithLanguage(imageDataUrl, alternateLang);
+    const altResult = await runOcrWithLanguage(imageDataUrl, alternateLang, options);
 
     if (altResult.confidence > result.confidence) {
       console.log(`Using ${alternateLang} (confidence: ${altResult.confidence} vs ${result.confidence})`);
-      result = altResult;
+      result = { ...altResult, language: alternateLang };
     }
   }
 
@@ -19,6 +19,19 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
+// Formats Tesseract decodes itself; anything else (AVIF, GIF, SVG...) is redrawn as PNG
+const OCR_READABLE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/bmp"];
+
+async function toReadableImage(blob) {
+  if (OCR_READABLE_TYPES.includes(blob.type)) return blob;
+
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas.convertToBlob({ type: "image/png" });
+}
+
 async function fetchImageAsDataUrl(url) {
   // Use XMLHttpRequest which has different CORS behavior
   return new Promise((resolve, reject) => {
@@ -28,11 +41,12 @@ async function fetchImageAsDataUrl(url) {
     
     xhr.onload = function() {
       if (xhr.status === 200) {
-        const blob = xhr.response;
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error("FileReader failed"));
-        reader.readAsDataURL(blob);
+        toReadableImage(xhr.response).then((blob) => {
+          const reader = new FileReader();
+          reader.onloadend = () => resolve(reader.result);
+          reader.onerror = () => reject(new Error("FileReader failed"));
+          reader.readAsDataURL(blob);
+        }, reject);
       } else {
         reject(new Error(`HTTP ${xhr.status}`));
       }
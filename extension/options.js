@@ -0,0 +1,217 @@
+// options.js - pairing the extension with the local translation server, OCR settings
+
+const statusEl = document.getElementById("pair-status");
+
+function showPairStatus(message, className) {
+  statusEl.textContent = message;
+  statusEl.className = className;
+}
+
+async function refreshPairStatus() {
+  const { serverToken } = await chrome.storage.local.get("serverToken");
+  if (!serverToken) {
+    showPairStatus("Not paired", "error");
+    return;
+  }
+
+  const connection = await chrome.runtime.sendMessage({ type: "CHECK_HEALTH" });
+  if (connection.problem === "unpaired") {
+    showPairStatus("The server rejected the saved token - pair again", "error");
+  } else {
+    showPairStatus(connection.serverReachable ? "Paired ✓" : "Paired (server is not running)", "ok");
+  }
+}
+
+document.getElementById("pair-btn").addEventListener("click", async () => {
+  const code = document.getElementById("pair-code").value.trim();
+  if (!code) return;
+
+  showPairStatus("Pairing...", "");
+  const response = await chrome.runtime.sendMessage({ type: "PAIR_SERVER", code });
+  if (response?.error) {
+    showPairStatus(response.message, "error");
+    return;
+  }
+  document.getElementById("pair-code").value = "";
+  refreshPairStatus();
+});
+
+document.getElementById("unpair-btn").addEventListener("click", async () => {
+  await chrome.storage.local.remove("serverToken");
+  refreshPairStatus();
+});
+
+refreshPairStatus();
+
+// Same defaults as DEFAULT_PREPROCESSING in preprocess.js: everything on
+const preprocessingBoxes = document.querySelectorAll("[data-preprocessing]");
+
+async function loadPreprocessingOptions() {
+  const { ocrPreprocessing = {} } = await chrome.storage.local.get("ocrPreprocessing");
+  for (const box of preprocessingBoxes) {
+    box.checked = ocrPreprocessing[box.dataset.preprocessing] !== false;
+  }
+}
+
+for (const box of preprocessingBoxes) {
+  box.addEventListener("change", () => {
+    const ocrPreprocessing = {};
+    for (const b of preprocessingBoxes) ocrPreprocessing[b.dataset.preprocessing] = b.checked;
+    chrome.storage.local.set({ ocrPreprocessing });
+  });
+}
+
+loadPreprocessingOptions();
+
+const regionsBox = document.getElementById("ocr-regions");
+chrome.storage.local.get("ocrRegions").then(({ ocrRegions }) => {
+  regionsBox.checked = ocrRegions !== false;
+});
+regionsBox.addEventListener("change", () => chrome.storage.local.set({ ocrRegions: regionsBox.checked }));
+
+// Language packs live in the extension's IndexedDB, which this page shares with the background
+const languagePacks = import(chrome.runtime.getURL("languagePacks.js"));
+const packsStatusEl = document.getElementById("packs-status");
+
+function showPacksStatus(message, className = "") {
+  packsStatusEl.textContent = message;
+  packsStatusEl.className = className;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function packCell(text, className = "") {
+  const cell = document.createElement("td");
+  cell.textContent = text;
+  cell.className = className;
+  return cell;
+}
+
+async function refreshLanguagePacks() {
+  const { listLanguagePacks, removeLanguagePack } = await languagePacks;
+  const packs = await listLanguagePacks();
+
+  const rows = packs.map((pack) => {
+    const row = document.createElement("tr");
+    row.title = `Installed ${new Date(pack.installedAt).toLocaleString()}`;
+    row.append(
+      packCell(pack.code),
+      packCell(pack.version, "version"),
+      packCell(formatBytes(pack.bytes)),
+      packCell(pack.fileName || pack.source)
+    );
+
+    const actions = packCell("");
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      await removeLanguagePack(pack.code);
+      showPacksStatus(`Removed ${pack.code}`);
+      refreshLanguagePacks();
+    });
+    actions.appendChild(remove);
+    row.appendChild(actions);
+    return row;
+  });
+
+  if (rows.length === 0) {
+    const row = document.createElement("tr");
+    row.appendChild(packCell("No languages installed - in-page OCR is unavailable until you import one (eng too)")).colSpan = 5;
+    rows.push(row);
+  }
+  document.getElementById("packs-body").replaceChildren(...rows);
+}
+
+document.getElementById("pack-files").addEventListener("change", async (e) => {
+  const { installLanguagePack } = await languagePacks;
+  const installed = [];
+  const failed = [];
+
+  for (const file of e.target.files) {
+    const code = /^([a-z_]+)\.traineddata(\.gz)?$/.exec(file.name)?.[1];
+    if (!code) {
+      failed.push(`${file.name} (expected a name like jpn.traineddata)`);
+      continue;
+    }
+    showPacksStatus(`Importing ${file.name}...`);
+    try {
+      const pack = await installLanguagePack(code, new Uint8Array(await file.arrayBuffer()), "file", file.name);
+      installed.push(`${pack.code} (${pack.version})`);
+    } catch (err) {
+      failed.push(`${file.name} (${err.message})`);
+    }
+  }
+
+  e.target.value = "";
+  showPacksStatus(
+    [installed.length > 0 && `Installed ${installed.join(", ")}`, failed.length > 0 && `Failed: ${failed.join(", ")}`]
+      .filter(Boolean).join(". "),
+    failed.length > 0 ? "error" : "ok"
+  );
+  refreshLanguagePacks();
+});
+
+document.getElementById("server-packs-btn").addEventListener("click", async () => {
+  const response = await chrome.runtime.sendMessage({ type: "LIST_SERVER_LANGUAGES" });
+  if (response?.error) {
+    showPacksStatus(response.message, "error");
+    return;
+  }
+  if (response.languages.length === 0) {
+    showPacksStatus("The server has no traineddata yet; it keeps the languages its own OCR has used");
+  }
+
+  const buttons = response.languages.map((language) => {
+    const button = document.createElement("button");
+    button.textContent = `⬇ ${language.lang} (${formatBytes(language.bytes)})`;
+    button.addEventListener("click", async () => {
+      showPacksStatus(`Downloading ${language.lang}...`);
+      const result = await chrome.runtime.sendMessage({ type: "INSTALL_SERVER_LANGUAGE", code: language.lang });
+      if (result?.error) {
+        showPacksStatus(result.message, "error");
+        return;
+      }
+      showPacksStatus(`Installed ${result.pack.code} (${result.pack.version})`, "ok");
+      refreshLanguagePacks();
+    });
+    return button;
+  });
+  document.getElementById("server-packs").replaceChildren(...buttons);
+});
+
+refreshLanguagePacks();
+
+// OCR corrections log, written by the review step in the content script
+
+async function refreshCorrectionsCount() {
+  const { ocrCorrections = [] } = await chrome.storage.local.get("ocrCorrections");
+  document.getElementById("corrections-count").textContent = ocrCorrections.length === 0
+    ? "No corrections logged yet."
+    : `${ocrCorrections.length} correction(s), the latest on ${new Date(ocrCorrections.at(-1).at).toLocaleString()}.`;
+  document.getElementById("corrections-export-btn").disabled = ocrCorrections.length === 0;
+  document.getElementById("corrections-clear-btn").disabled = ocrCorrections.length === 0;
+}
+
+document.getElementById("corrections-export-btn").addEventListener("click", async () => {
+  const { ocrCorrections = [] } = await chrome.storage.local.get("ocrCorrections");
+  const url = URL.createObjectURL(new Blob([JSON.stringify(ocrCorrections, null, 2)], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "ocr-corrections.json";
+  link.click();
+  URL.revokeObjectURL(url);
+});
+
+document.getElementById("corrections-clear-btn").addEventListener("click", async () => {
+  if (!confirm("Clear the OCR corrections log?")) return;
+  await chrome.storage.local.remove("ocrCorrections");
+  refreshCorrectionsCount();
+});
+
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.ocrCorrections) refreshCorrectionsCount();
+});
+
+refreshCorrectionsCount();
@@ -0,0 +1,279 @@
+/**
+ * Image Translator - OCR Preprocessing
+ * Cleans up captures on an OffscreenCanvas before Tesseract sees them
+ */
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Stored as "ocrPreprocessing" and edited on the options page
+const DEFAULT_PREPROCESSING = {
+  enabled: true,
+  upscale: true,     // enlarge small text, taking the device pixel ratio into account
+  grayscale: true,
+  denoise: true,     // 3x3 median filter against JPEG artifacts
+  binarize: true,    // adaptive threshold, copes with uneven backgrounds
+  invert: true,      // turn light-on-dark text dark-on-light
+  tryVariants: true  // also recognize the lighter variants and keep the most confident result
+};
+
+let preprocessing = { ...DEFAULT_PREPROCESSING };
+
+function loadPreprocessingSettings() {
+  chrome.storage.local.get("ocrPreprocessing", ({ ocrPreprocessing }) => {
+    preprocessing = { ...DEFAULT_PREPROCESSING, ...ocrPreprocessing };
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.ocrPreprocessing) {
+      preprocessing = { ...DEFAULT_PREPROCESSING, ...changes.ocrPreprocessing.newValue };
+    }
+  });
+}
+
+// Tesseract does best with text around 30 px tall; captures at 1x are usually well below that
+const TARGET_PIXEL_RATIO = 3;
+const MAX_UPSCALE = 4;
+// Keeps upscaled images, and Tesseract's memory use, bounded
+const MAX_PREPROCESSED_PIXELS = 16 * 1024 * 1024;
+
+// Bradley threshold: a pixel is ink when this much darker than its neighbourhood
+const THRESHOLD_SENSITIVITY = 0.15;
+
+// ============================================
+// FILTERS
+// ============================================
+
+/**
+ * How much to enlarge a screenshot. Screenshots already carry devicePixelRatio
+ * pixels per CSS pixel, so high-DPI captures need less.
+ */
+function upscaleFactor(width, height, pixelRatio) {
+  const wanted = Math.min(MAX_UPSCALE, Math.max(1, TARGET_PIXEL_RATIO / pixelRatio));
+  const allowed = Math.sqrt(MAX_PREPROCESSED_PIXELS / (width * height));
+  return Math.max(1, Math.min(wanted, allowed));
+}
+
+/**
+ * Luminance per pixel (0-255) from RGBA data
+ */
+function toGray({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+/**
+ * 3x3 median filter; removes JPEG speckle while keeping stroke edges
+ */
+function medianFilter(gray, width, height) {
+  const out = new Uint8ClampedArray(gray.length);
+  const neighbourhood = new Uint8Array(9);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = Math.min(height - 1, Math.max(0, y + dy));
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = Math.min(width - 1, Math.max(0, x + dx));
+          neighbourhood[n++] = gray[yy * width + xx];
+        }
+      }
+      neighbourhood.sort();
+      out[y * width + x] = neighbourhood[4];
+    }
+  }
+  return out;
+}
+
+/**
+ * Otsu's global threshold, used to tell the background from the text
+ */
+function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (const value of gray) histogram[value]++;
+
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = gray.length - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Light text on a dark background: most pixels fall below the Otsu threshold
+ */
+function isLightOnDark(gray) {
+  const threshold = otsuThreshold(gray);
+  let dark = 0;
+  for (const value of gray) if (value <= threshold) dark++;
+  return dark > gray.length / 2;
+}
+
+function invertGray(gray) {
+  for (let i = 0; i < gray.length; i++) gray[i] = 255 - gray[i];
+}
+
+/**
+ * Bradley adaptive threshold over an integral image: each pixel is compared
+ * with the mean of its neighbourhood, so gradients and shading do not swallow text
+ */
+function adaptiveThreshold(gray, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.max(7, Math.round(Math.min(width, height) / 16));
+  const out = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const area = (x1 - x0) * (y1 - y0);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      out[y * width + x] = gray[y * width + x] * area < sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+    }
+  }
+  return out;
+}
+
+function grayToImageData(gray, width, height) {
+  const imageData = new ImageData(width, height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] = gray[p];
+    imageData.data[i + 3] = 255;
+  }
+  return imageData;
+}
+
+// ============================================
+// PIPELINE
+// ============================================
+
+/**
+ * Build the images to recognize, most processed first. Each variant is
+ * { name, image: Blob, scale }, scale being the factor its pixels were enlarged by.
+ * Only screenshots are enlarged; original files (canvas, fetched, srcset)
+ * already hold the text at the resolution it was made at.
+ */
+async function preprocessVariants(imageDataUrl, settings, screenshot) {
+  const bitmap = await createImageBitmap(await (await fetch(imageDataUrl)).blob());
+  const scale = settings.upscale && screenshot
+    ? upscaleFactor(bitmap.width, bitmap.height, window.devicePixelRatio || 1)
+    : 1;
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const toBlob = () => canvas.convertToBlob({ type: "image/png" });
+  const variants = [];
+  const scaled = settings.tryVariants || (!settings.grayscale && !settings.binarize) ? await toBlob() : null;
+
+  if (settings.grayscale || settings.binarize) {
+    let gray = toGray(ctx.getImageData(0, 0, width, height));
+    if (settings.denoise) gray = medianFilter(gray, width, height);
+    if (settings.invert && isLightOnDark(gray)) {
+      console.log("Preprocessing: light text on dark background, inverting");
+      invertGray(gray);
+    }
+
+    if (settings.binarize) {
+      ctx.putImageData(grayToImageData(adaptiveThreshold(gray, width, height), width, height), 0, 0);
+      variants.push({ name: "binarized", image: await toBlob(), scale });
+    }
+    if (settings.grayscale && (settings.tryVariants || !settings.binarize)) {
+      ctx.putImageData(grayToImageData(gray, width, height), 0, 0);
+      variants.push({ name: "grayscale", image: await toBlob(), scale });
+    }
+  }
+
+  if (scaled) variants.push({ name: scale > 1 ? "upscaled" : "original", image: scaled, scale });
+  return variants;
+}
+
+function scaleBbox({ x0, y0, x1, y1 }, factor) {
+  return { x0: x0 * factor, y0: y0 * factor, x1: x1 * factor, y1: y1 * factor };
+}
+
+/**
+ * Map the boxes of a result on an enlarged image back to the original's pixels
+ */
+function unscaleOcrResult(result, scale) {
+  if (scale === 1) return result;
+  const factor = 1 / scale;
+  const scaleWord = (word) => ({ ...word, bbox: scaleBbox(word.bbox, factor) });
+  const scaleLine = (line) => ({ ...scaleWord(line), words: line.words.map(scaleWord) });
+
+  return {
+    ...result,
+    paragraphs: result.paragraphs.map((p) => ({ ...scaleWord(p), lines: p.lines.map(scaleLine) })),
+    lines: result.lines.map(scaleLine)
+  };
+}
+
+/**
+ * Recognize an image in-page, preprocessed as the settings say. With
+ * tryVariants every variant is recognized (in parallel, as workers allow)
+ * and the most confident result wins. Boxes always refer to the input image.
+ * options: { screenshot, tryVariants }; screenshot says the image is a capture of
+ * the tab, so small text is enlarged, and tryVariants overrides the setting.
+ */
+async function recognizeImage(imageDataUrl, language, onProgress, options = {}) {
+  if (!preprocessing.enabled) return recognizeWithPool(imageDataUrl, language, onProgress);
+
+  const settings = { ...preprocessing, ...(options.tryVariants !== undefined && { tryVariants: options.tryVariants }) };
+  let variants;
+  try {
+    variants = await preprocessVariants(imageDataUrl, settings, Boolean(options.screenshot));
+  } catch (e) {
+    console.warn("Preprocessing failed, recognizing the original image:", e);
+    return recognizeWithPool(imageDataUrl, language, onProgress);
+  }
+
+  // Progress follows the first variant only; the others run alongside it
+  const results = await Promise.all(variants.map(async (variant, i) => {
+    const result = await recognizeWithPool(variant.image, language, i === 0 ? onProgress : () => {});
+    return { variant, result: unscaleOcrResult(result, variant.scale) };
+  }));
+
+  const best = results.reduce((a, b) => (b.result.confidence > a.result.confidence ? b : a));
+  console.log("Preprocessing variants:", results.map((r) => `${r.variant.name} ${Math.round(r.result.confidence)}%`).join(", "),
+    `→ ${best.variant.name}`);
+  return best.result;
+}
+
+console.log("✅ preprocess.js loaded");
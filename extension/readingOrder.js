@@ -0,0 +1,109 @@
+/**
+ * Image Translator - Reading Order
+ * Puts vertical columns and the blocks of a page in the order they are read
+ */
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// "auto", or the page direction: "rtl" (manga), "ltr" (comics), "ttb" (webtoons)
+let readingDirection = "auto";
+
+// Strips at least this much taller than wide are read straight down
+const WEBTOON_ASPECT = 3;
+
+/**
+ * Restore this site's reading direction into the toolbar selector
+ */
+function loadReadingDirection() {
+  chrome.storage.local.get("readingDirectionBySite", ({ readingDirectionBySite = {} }) => {
+    readingDirection = readingDirectionBySite[location.hostname] || "auto";
+    document.getElementById("it-reading-select").value = readingDirection;
+  });
+}
+
+function handleReadingDirectionChange(e) {
+  readingDirection = e.target.value;
+
+  chrome.storage.local.get("readingDirectionBySite", ({ readingDirectionBySite = {} }) => {
+    if (readingDirection === "auto") {
+      delete readingDirectionBySite[location.hostname];
+    } else {
+      readingDirectionBySite[location.hostname] = readingDirection;
+    }
+    chrome.storage.local.set({ readingDirectionBySite });
+  });
+
+  updateStatus(`Reading order: ${e.target.options[e.target.selectedIndex].text}`, 0, location.hostname);
+}
+
+/**
+ * The direction to read an image in: this site's setting, or else a guess
+ * from the OCR language and the image's shape
+ */
+function pageReadingDirection(language, img) {
+  if (readingDirection !== "auto") return readingDirection;
+  if (language.startsWith("jpn")) return "rtl";
+
+  const { width, height } = naturalSize(img);
+  return height > width * WEBTOON_ASPECT ? "ttb" : "ltr";
+}
+
+// ============================================
+// ORDERING
+// ============================================
+
+// Lines this much taller than wide, taken together, are vertical columns
+const COLUMN_ASPECT = 1.5;
+
+function bboxCenterX({ x0, x1 }) {
+  return (x0 + x1) / 2;
+}
+
+/**
+ * Lines of a paragraph in reading order. Tesseract returns vertical columns
+ * left to right; vertical Japanese is read from the rightmost column.
+ * Returns the same array when nothing needs to move.
+ */
+function orderColumns(lines) {
+  if (lines.length < 2) return lines;
+
+  let width = 0;
+  let height = 0;
+  for (const { bbox } of lines) {
+    width += bbox.x1 - bbox.x0;
+    height += bbox.y1 - bbox.y0;
+  }
+  if (height <= width * COLUMN_ASPECT) return lines;
+
+  return [...lines].sort((a, b) => bboxCenterX(b.bbox) - bboxCenterX(a.bbox));
+}
+
+/**
+ * Blocks of a page in reading order, as the server orders chapter images.
+ * Blocks whose heights overlap by at least half the shorter one form a tier,
+ * read across in the page's direction; tiers go top to bottom. Webtoons are
+ * read by the top of each block alone.
+ */
+function orderBlocks(blocks, direction) {
+  const byTop = [...blocks].sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+  if (direction === "ttb") return byTop;
+
+  const tiers = [];
+  for (const block of byTop) {
+    const { y0, y1 } = block.bbox;
+    const tier = tiers.find((t) => Math.min(t.y1, y1) - Math.max(t.y0, y0) >= Math.min(t.y1 - t.y0, y1 - y0) / 2);
+    if (tier) {
+      tier.blocks.push(block);
+      tier.y1 = Math.max(tier.y1, y1);
+    } else {
+      tiers.push({ y0, y1, blocks: [block] });
+    }
+  }
+
+  const sign = direction === "rtl" ? -1 : 1;
+  return tiers.flatMap((t) => t.blocks.sort((a, b) => sign * (bboxCenterX(a.bbox) - bboxCenterX(b.bbox))));
+}
+
+console.log("✅ readingOrder.js loaded");
@@ -0,0 +1,379 @@
+/**
+ * Image Translator - Text Regions
+ * Finds speech bubbles and clusters of text on a page, so OCR and overlays
+ * follow the page layout instead of Tesseract's paragraph guesses
+ */
+
+// ============================================
+// SETTINGS
+// ============================================
+
+let detectRegions = true; // stored as "ocrRegions", edited on the options page
+
+function loadRegionSettings() {
+  chrome.storage.local.get("ocrRegions", ({ ocrRegions }) => {
+    detectRegions = ocrRegions !== false;
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.ocrRegions) detectRegions = changes.ocrRegions.newValue !== false;
+  });
+}
+
+// Detection runs on a reduced copy of the page; boxes are scaled back up
+const REGION_ANALYSIS_SIZE = 800;
+
+// Bubbles: share of the page area, and how much of their box the white interior fills (an ellipse fills ~0.79)
+const MIN_BUBBLE_AREA = 0.002;
+const MAX_BUBBLE_AREA = 0.3;
+const MIN_BUBBLE_FILL = 0.45;
+// Share of a bubble's interior taken by text; empty panels and blank areas have none
+const MIN_BUBBLE_INK = 0.02;
+const MAX_BUBBLE_INK = 0.6;
+
+// Text clusters: glyphs closer than this share of the page size are merged
+const TEXT_MERGE_DISTANCE = 0.012;
+// Ink share of a cluster's box; line art is denser, stray marks sparser
+const MIN_TEXT_INK = 0.08;
+const MAX_TEXT_INK = 0.6;
+// More clusters than this means artwork is being mistaken for text; only bubbles are kept then
+const MAX_TEXT_CLUSTERS = 25;
+
+// Space around a region when cropping it for OCR, as a share of its size
+const REGION_PADDING = 0.06;
+
+// Regions recognized with less confidence are dropped as noise
+const MIN_REGION_CONFIDENCE = 30;
+
+// Layout analysis of a single block runs on a copy at most this large
+const LAYOUT_ANALYSIS_SIZE = 400;
+// Glyph boxes this much taller than wide hold a single column, and the reverse a single line
+const SINGLE_LINE_ASPECT = 2.5;
+// Below this difference in blank share, columns and lines cannot be told apart
+const MIN_GAP_DIFFERENCE = 0.03;
+
+// ============================================
+// DETECTION
+// ============================================
+
+/**
+ * Label the connected components of a mask (4-connectivity)
+ * Returns { labels, components: [{ area, x0, y0, x1, y1, touchesBorder }] }, labels being 1-based
+ */
+function connectedComponents(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = new Int32Array(width * height);
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const label = components.length + 1;
+    const component = { area: 0, x0: width, y0: height, x1: 0, y1: 0, touchesBorder: false };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+
+    while (top > 0) {
+      const p = stack[--top];
+      const x = p % width;
+      const y = (p - x) / width;
+      component.area++;
+      if (x < component.x0) component.x0 = x;
+      if (x > component.x1) component.x1 = x;
+      if (y < component.y0) component.y0 = y;
+      if (y > component.y1) component.y1 = y;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) component.touchesBorder = true;
+
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+      for (const n of neighbours) {
+        if (n >= 0 && mask[n] && !labels[n]) {
+          labels[n] = label;
+          stack[top++] = n;
+        }
+      }
+    }
+    components.push(component);
+  }
+  return { labels, components };
+}
+
+/**
+ * Pixels of a component's box that its own rows enclose but it does not cover:
+ * the lettering inside a bubble
+ */
+function enclosedHoles(labels, width, label, { x0, y0, x1, y1 }) {
+  let holes = 0;
+  for (let y = y0; y <= y1; y++) {
+    let first = -1;
+    let last = -1;
+    for (let x = x0; x <= x1; x++) {
+      if (labels[y * width + x] === label) {
+        if (first === -1) first = x;
+        last = x;
+      }
+    }
+    for (let x = first + 1; x < last; x++) {
+      if (labels[y * width + x] !== label) holes++;
+    }
+  }
+  return holes;
+}
+
+/**
+ * Speech bubbles: enclosed light areas of bubble size and shape with text inside.
+ * The page background is light too, but it reaches the edge of the image.
+ */
+function findBubbles(light, width, height) {
+  const { labels, components } = connectedComponents(light, width, height);
+  const pageArea = width * height;
+  const bubbles = [];
+
+  components.forEach((c, i) => {
+    const boxWidth = c.x1 - c.x0 + 1;
+    const boxHeight = c.y1 - c.y0 + 1;
+    if (c.touchesBorder || boxWidth < 12 || boxHeight < 12) return;
+    if (c.area < pageArea * MIN_BUBBLE_AREA || c.area > pageArea * MAX_BUBBLE_AREA) return;
+
+    const holes = enclosedHoles(labels, width, i + 1, c);
+    const ink = holes / (c.area + holes);
+    if ((c.area + holes) / (boxWidth * boxHeight) < MIN_BUBBLE_FILL) return;
+    if (ink < MIN_BUBBLE_INK || ink > MAX_BUBBLE_INK) return;
+
+    bubbles.push({ kind: "bubble", x0: c.x0, y0: c.y0, x1: c.x1 + 1, y1: c.y1 + 1 });
+  });
+  return bubbles;
+}
+
+/**
+ * Grow a mask by `radius` pixels along one axis. `at(line, i)` maps the
+ * i-th of `length` pixels in a line to its index in the mask.
+ */
+function dilateLines(mask, out, lines, length, radius, at) {
+  for (let line = 0; line < lines; line++) {
+    let last = -Infinity;
+    for (let i = 0; i < length; i++) {
+      if (mask[at(line, i)]) last = i;
+      if (i - last <= radius) out[at(line, i)] = 1;
+    }
+    last = Infinity;
+    for (let i = length - 1; i >= 0; i--) {
+      if (mask[at(line, i)]) last = i;
+      if (last - i <= radius) out[at(line, i)] = 1;
+    }
+  }
+}
+
+/**
+ * Grow a mask by `radius` pixels (separable box dilation)
+ */
+function dilate(mask, width, height, radius) {
+  const horizontal = new Uint8Array(mask.length);
+  dilateLines(mask, horizontal, height, width, radius, (y, x) => y * width + x);
+  const out = new Uint8Array(mask.length);
+  dilateLines(horizontal, out, width, height, radius, (x, y) => y * width + x);
+  return out;
+}
+
+/**
+ * Text outside bubbles (captions, signs, SFX): glyphs merged into clusters,
+ * kept when their ink density looks like lettering rather than artwork
+ */
+function findTextClusters(ink, width, height, bubbles) {
+  const radius = Math.max(2, Math.round(Math.min(width, height) * TEXT_MERGE_DISTANCE));
+  const { components } = connectedComponents(dilate(ink, width, height, radius), width, height);
+  const clusters = [];
+
+  for (const c of components) {
+    // Dilation grew the box; shrink it back to the glyphs
+    const x0 = Math.min(width, c.x0 + radius);
+    const y0 = Math.min(height, c.y0 + radius);
+    const x1 = Math.max(x0 + 1, c.x1 + 1 - radius);
+    const y1 = Math.max(y0 + 1, c.y1 + 1 - radius);
+    const boxWidth = x1 - x0;
+    const boxHeight = y1 - y0;
+    if (boxWidth < 8 || boxHeight < 8) continue;
+    // Panel borders and full-width artwork
+    if (boxWidth > width * 0.8 || boxHeight > height * 0.8) continue;
+
+    let inkCount = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) inkCount += ink[y * width + x];
+    }
+    const density = inkCount / (boxWidth * boxHeight);
+    if (density < MIN_TEXT_INK || density > MAX_TEXT_INK) continue;
+
+    const centerX = (x0 + x1) / 2;
+    const centerY = (y0 + y1) / 2;
+    const inBubble = bubbles.some((b) => centerX >= b.x0 && centerX <= b.x1 && centerY >= b.y0 && centerY <= b.y1);
+    if (!inBubble) clusters.push({ kind: "text", x0, y0, x1, y1 });
+  }
+  return clusters;
+}
+
+/**
+ * Find speech bubbles and text clusters on an image
+ * Resolves to [{ kind: "bubble" | "text", bbox: { x0, y0, x1, y1 } }] in pixels of the image, top to bottom
+ */
+async function detectTextRegions(imageDataUrl) {
+  const bitmap = await createImageBitmap(await (await fetch(imageDataUrl)).blob());
+  const scale = Math.min(1, REGION_ANALYSIS_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  const fullWidth = bitmap.width;
+  const fullHeight = bitmap.height;
+  bitmap.close();
+
+  const gray = toGray(ctx.getImageData(0, 0, width, height));
+  const threshold = otsuThreshold(gray);
+  const light = new Uint8Array(gray.length);
+  const ink = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] > threshold) light[i] = 1;
+    else ink[i] = 1;
+  }
+
+  const bubbles = findBubbles(light, width, height);
+  let clusters = findTextClusters(ink, width, height, bubbles);
+  console.log(`Text regions: ${bubbles.length} bubbles, ${clusters.length} text clusters`);
+  if (clusters.length > MAX_TEXT_CLUSTERS) clusters = [];
+  const regions = [...bubbles, ...clusters];
+
+  return regions
+    .map(({ kind, x0, y0, x1, y1 }) => ({
+      kind,
+      bbox: {
+        x0: Math.max(0, Math.floor(x0 / scale)),
+        y0: Math.max(0, Math.floor(y0 / scale)),
+        x1: Math.min(fullWidth, Math.ceil(x1 / scale)),
+        y1: Math.min(fullHeight, Math.ceil(y1 / scale))
+      }
+    }))
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+}
+
+/**
+ * Whether the text of one block runs in vertical columns or horizontal lines,
+ * from the blank gaps between them. Large shapes (the bubble outline, artwork)
+ * are left out so only glyphs count. Resolves to "vertical", "horizontal" or
+ * null when the layout is unclear.
+ */
+async function textLayout(imageDataUrl) {
+  const bitmap = await createImageBitmap(await (await fetch(imageDataUrl)).blob());
+  const scale = Math.min(1, LAYOUT_ANALYSIS_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const ctx = new OffscreenCanvas(width, height).getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const gray = toGray(ctx.getImageData(0, 0, width, height));
+  if (isLightOnDark(gray)) invertGray(gray);
+  const threshold = otsuThreshold(gray);
+  const ink = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) ink[i] = gray[i] <= threshold ? 1 : 0;
+
+  const { labels, components } = connectedComponents(ink, width, height);
+  const glyph = components.map((c) => c.x1 - c.x0 < width / 2 && c.y1 - c.y0 < height / 2);
+
+  const columns = new Uint32Array(width);
+  const rows = new Uint32Array(height);
+  let x0 = width, y0 = height, x1 = -1, y1 = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const label = labels[y * width + x];
+      if (!label || !glyph[label - 1]) continue;
+      columns[x]++;
+      rows[y]++;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+  }
+  if (x1 < 0) return null;
+
+  const boxWidth = x1 - x0 + 1;
+  const boxHeight = y1 - y0 + 1;
+  if (boxHeight > boxWidth * SINGLE_LINE_ASPECT) return "vertical";
+  if (boxWidth > boxHeight * SINGLE_LINE_ASPECT) return "horizontal";
+
+  // Columns of text leave blank columns between them; lines leave blank rows
+  let blankColumns = 0;
+  let blankRows = 0;
+  for (let x = x0; x <= x1; x++) if (columns[x] === 0) blankColumns++;
+  for (let y = y0; y <= y1; y++) if (rows[y] === 0) blankRows++;
+  const difference = blankColumns / boxWidth - blankRows / boxHeight;
+  if (Math.abs(difference) < MIN_GAP_DIFFERENCE) return null;
+  return difference > 0 ? "vertical" : "horizontal";
+}
+
+// ============================================
+// RECOGNITION
+// ============================================
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("FileReader failed"));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * OCR each region on its own crop. Resolves to blocks shaped like OCR
+ * paragraphs - { text, confidence, bbox, kind, language, words } - with the
+ * region's box as bbox; regions without readable text are left out. With detectLanguages
+ * each region gets its own language and orientation, `language` being the
+ * page's, used when a region's cannot be told or read. screenshot is passed
+ * on to recognizeImage.
+ */
+async function recognizeRegions(imageDataUrl, regions, language, { detectLanguages = false, screenshot = false } = {}) {
+  const bitmap = await createImageBitmap(await (await fetch(imageDataUrl)).blob());
+  let done = 0;
+
+  try {
+    const blocks = await Promise.all(regions.map(async ({ kind, bbox }) => {
+      const padX = Math.round((bbox.x1 - bbox.x0) * REGION_PADDING);
+      const padY = Math.round((bbox.y1 - bbox.y0) * REGION_PADDING);
+      const x0 = Math.max(0, bbox.x0 - padX);
+      const y0 = Math.max(0, bbox.y0 - padY);
+      const x1 = Math.min(bitmap.width, bbox.x1 + padX);
+      const y1 = Math.min(bitmap.height, bbox.y1 + padY);
+
+      const canvas = new OffscreenCanvas(x1 - x0, y1 - y0);
+      canvas.getContext("2d").drawImage(bitmap, x0, y0, x1 - x0, y1 - y0, 0, 0, x1 - x0, y1 - y0);
+      const crop = await blobToDataUrl(await canvas.convertToBlob({ type: "image/png" }));
+
+      let blockLanguage = detectLanguages ? await detectBlockLanguage(crop, language) : language;
+      let result;
+      try {
+        result = await runOcrWithLanguage(crop, blockLanguage, { screenshot });
+      } catch (e) {
+        if (blockLanguage === language) throw e;
+        // Most likely no pack is installed for the detected language
+        console.warn(`OCR with ${blockLanguage} failed, using ${language}:`, e.message);
+        blockLanguage = language;
+        result = await runOcrWithLanguage(crop, language, { screenshot });
+      }
+      done++;
+      updateStatus(`Recognized ${done}/${regions.length} text regions...`, 20 + (done / regions.length) * 25);
+
+      // Lines rather than the raw text, so vertical columns come in reading order
+      const text = extractTextFromOcrData(result);
+      if (text.length < 2 || result.confidence < MIN_REGION_CONFIDENCE) return null;
+      const words = result.lines.flatMap((line) => line.words);
+      return { text, confidence: result.confidence, bbox, kind, language: blockLanguage, words };
+    }));
+    return blocks.filter(Boolean);
+  } finally {
+    bitmap.close();
+  }
+}
+
+console.log("✅ regions.js loaded");
@@ -0,0 +1,160 @@
+/**
+ * Image Translator - OCR Review
+ * Lets the user correct recognized text before it is translated, and logs the corrections
+ */
+
+// ============================================
+// SETTINGS
+// ============================================
+
+let ocrReview = false; // stop after OCR so the text can be corrected before translating
+
+// Words Tesseract is less sure of than this are highlighted for review
+const LOW_WORD_CONFIDENCE = 60;
+// The corrections log keeps this many of the latest fixes
+const MAX_OCR_CORRECTIONS = 500;
+
+// One review panel at a time; scanned images wait their turn
+let reviewQueue = Promise.resolve();
+
+function loadReviewPreference() {
+  chrome.storage.local.get("ocrReview", (stored) => {
+    ocrReview = Boolean(stored.ocrReview);
+    document.getElementById("it-review-btn").classList.toggle("active", ocrReview);
+  });
+}
+
+function toggleOcrReview() {
+  ocrReview = !ocrReview;
+  chrome.storage.local.set({ ocrReview });
+  document.getElementById("it-review-btn").classList.toggle("active", ocrReview);
+  updateStatus(ocrReview ? "OCR review: on (correct text before translating)" : "OCR review: off", 0);
+}
+
+// ============================================
+// REVIEW PANEL
+// ============================================
+
+function blockWords(block) {
+  return block.words || (block.lines || []).flatMap((line) => line.words || []);
+}
+
+/**
+ * Fill an editable element with a block's text, wrapping the words Tesseract
+ * was unsure of in <mark>. Words are found in the text in order; any that
+ * cannot be found are left unmarked.
+ */
+function renderReviewText(element, text, words) {
+  let cursor = 0;
+  for (const word of words) {
+    if (!word.text || word.confidence >= LOW_WORD_CONFIDENCE) continue;
+    const at = text.indexOf(word.text, cursor);
+    if (at < 0) continue;
+
+    if (at > cursor) element.append(text.slice(cursor, at));
+    const mark = document.createElement("mark");
+    mark.className = "it-review-low";
+    mark.title = `OCR confidence ${Math.round(word.confidence)}%`;
+    mark.textContent = word.text;
+    element.append(mark);
+    cursor = at + word.text.length;
+  }
+  if (cursor < text.length) element.append(text.slice(cursor));
+}
+
+function showReviewPanel(blocks) {
+  return new Promise((resolve) => {
+    const panel = document.createElement("div");
+    panel.className = "it-review-panel";
+    panel.innerHTML = `
+      <h3>Review recognized text</h3>
+      <p class="it-review-hint">Highlighted words were hard to read. Fix any mistakes, then translate.</p>
+      <div class="it-review-blocks"></div>
+      <div class="it-review-actions">
+        <button class="it-review-cancel">Cancel</button>
+        <button class="it-review-confirm" title="Ctrl+Enter">Translate</button>
+      </div>
+    `;
+
+    const fields = blocks.map((block, i) => {
+      const row = document.createElement("div");
+      row.className = "it-review-block";
+
+      const label = document.createElement("span");
+      label.className = "it-review-label";
+      label.textContent = Number.isFinite(block.confidence) ? `${i + 1} · ${Math.round(block.confidence)}%` : String(i + 1);
+
+      const field = document.createElement("div");
+      field.className = "it-review-text";
+      field.contentEditable = "plaintext-only";
+      field.spellcheck = false;
+      renderReviewText(field, block.text.trim(), blockWords(block));
+
+      row.append(label, field);
+      panel.querySelector(".it-review-blocks").appendChild(row);
+      return field;
+    });
+
+    const finish = (texts) => {
+      panel.remove();
+      resolve(texts);
+    };
+    panel.querySelector(".it-review-cancel").addEventListener("click", () => finish(null));
+    panel.querySelector(".it-review-confirm").addEventListener("click", () => finish(fields.map((f) => f.innerText.trim())));
+    panel.addEventListener("keydown", (e) => {
+      // Keep the page's own shortcuts from firing while typing
+      e.stopPropagation();
+      if (e.key === "Escape") finish(null);
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) finish(fields.map((f) => f.innerText.trim()));
+    });
+
+    document.body.appendChild(panel);
+    fields[0]?.focus();
+  });
+}
+
+/**
+ * Show the recognized text of each block for correction
+ * Resolves to the corrected texts in block order, or null if the user cancelled.
+ * Changed blocks are added to the corrections log with their OCR language.
+ */
+function reviewOcrBlocks(blocks, language) {
+  const review = reviewQueue.then(async () => {
+    updateStatus("Waiting for OCR review...", null, `${blocks.length} block(s)`);
+    const texts = await showReviewPanel(blocks);
+    if (texts) {
+      const corrections = blocks
+        .map((block, i) => ({ block, original: block.text.trim(), corrected: texts[i] }))
+        .filter(({ original, corrected }) => original !== corrected);
+      if (corrections.length > 0) await logOcrCorrections(corrections, language);
+    }
+    return texts;
+  });
+  reviewQueue = review.catch(() => {});
+  return review;
+}
+
+// ============================================
+// CORRECTIONS LOG
+// ============================================
+
+/**
+ * Append fixes to the "ocrCorrections" log in local storage, newest last
+ */
+async function logOcrCorrections(corrections, language) {
+  const at = new Date().toISOString();
+  const entries = corrections.map(({ block, original, corrected }) => ({
+    at,
+    pageUrl: location.href,
+    language: block.language || language,
+    original,
+    corrected,
+    ...(Number.isFinite(block.confidence) && { confidence: Math.round(block.confidence) })
+  }));
+
+  const { ocrCorrections = [] } = await chrome.storage.local.get("ocrCorrections");
+  await chrome.storage.local.set({ ocrCorrections: [...ocrCorrections, ...entries].slice(-MAX_OCR_CORRECTIONS) });
+  console.log(`Logged ${entries.length} OCR correction(s)`);
+}
+
+console.log("✅ review.js loaded");
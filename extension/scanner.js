@@ -5,29 +5,38 @@
 
 const PROCESSED_ATTR = "data-ocr-processed";
 
+// Translated blocks per image, kept so the page can be rendered and saved.
+// `source` is the image the bounding boxes refer to: { url } or { image: dataUrl }.
+const translatedImages = new Map();
+
+// Block overlays per scanned element, so a video's can be cleared when it plays on
+const blockOverlays = new WeakMap();
+
 // ============================================
 // SCANNER
 // ============================================
 
 /**
- * Scan all images on the page
+ * Scan all images on the page, along with canvases and CSS background images
  */
 function scanImages() {
-  const imgs = Array.from(document.images);
-  const processableImages = imgs.filter((img) => img.width >= 80 && img.height >= 40);
+  const sources = findScanSources();
+  const counts = {};
+  for (const source of sources) counts[sourceKind(source)] = (counts[sourceKind(source)] || 0) + 1;
 
-  console.log(`Found ${imgs.length} images, ${processableImages.length} large enough to process`);
+  console.log(`Found ${sources.length} sources large enough to process:`, counts);
 
-  if (processableImages.length === 0) {
+  if (sources.length === 0) {
     console.log("No suitable images found");
     showError("No suitable images found on this page");
     return;
   }
 
-  updateStatus(`Found ${processableImages.length} image(s) to process`, 0, "Starting...");
+  updateStatus(`Found ${sources.length} image(s) to process`, 0,
+    Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(", "));
 
-  for (const img of processableImages) {
-    if (!img.complete) {
+  for (const img of sources) {
+    if (img instanceof HTMLImageElement && !img.complete) {
       img.addEventListener("load", () => processImage(img), { once: true });
     } else {
       processImage(img);
@@ -41,47 +50,77 @@ function scanImages() {
 
 /**
  * Process a single image - detect text blocks and translate each
+ * img may be any scan source: an image, canvas, video or CSS background (see sources.js)
  */
 async function processImage(img) {
   if (img.hasAttribute(PROCESSED_ATTR)) return;
   img.setAttribute(PROCESSED_ATTR, "true");
 
   try {
-    console.log("Processing image:", img.src.substring(0, 80));
-    updateStatus("Capturing image...", 5, img.src.substring(0, 50) + "...");
+    const label = sourceLabel(img);
+    console.log("Processing image:", label.substring(0, 80));
+    updateStatus("Capturing image...", 5, label.substring(0, 50) + "...");
 
-    const imageDataUrl = await getImageAsDataUrl(img);
+    const { dataUrl: imageDataUrl, method, width, height } = await captureSource(img);
     console.log("Got image as data URL, length:", imageDataUrl.length);
+    updateStatus("Captured image", 8, `Via ${CAPTURE_METHODS[method]}`);
+    // Only screenshots need small text enlarged before OCR
+    const ocrOptions = { screenshot: method === "screenshot" };
 
     // Step 1: Auto-detect language if needed
     let detectedLang = ocrLanguage;
+    let detectionResult = null;
     if (ocrLanguage === "auto") {
       updateStatus("Detecting language...", 10);
-      detectedLang = await detectTextLanguage(imageDataUrl);
+      ({ language: detectedLang, result: detectionResult } = await detectTextLanguageWithResult(imageDataUrl, ocrOptions));
 
       // Check for vertical text
-      const isVertical = isLikelyVerticalText(img.naturalWidth || img.width, img.naturalHeight || img.height);
+      const isVertical = isLikelyVerticalText(width, height);
       if (detectedLang === "jpn" && isVertical) {
         detectedLang = "jpn_vert";
       }
     }
 
-    // Step 2: Full OCR with detected language
-    updateStatus(`Running OCR (${detectedLang})...`, 20);
-    const ocrData = await runOcrWithLanguage(imageDataUrl, detectedLang);
+    // Step 2: Find speech bubbles and text clusters and recognize each one on its own,
+    // so blocks follow the page layout rather than Tesseract's paragraphs
+    let blocks = [];
+    if (detectRegions) {
+      try {
+        updateStatus("Finding text regions...", 15);
+        const regions = await detectTextRegions(imageDataUrl);
+        if (regions.length > 0) {
+          blocks = await recognizeRegions(imageDataUrl, regions, detectedLang, {
+            ...ocrOptions,
+            detectLanguages: ocrLanguage === "auto"
+          });
+        }
+      } catch (e) {
+        console.warn("Text region detection failed, using OCR paragraphs:", e);
+      }
+    }
 
-    console.log("OCR Result:", {
-      text: ocrData.text,
-      blocks: ocrData.blocks?.length || 0,
-      paragraphs: ocrData.paragraphs?.length || 0,
-      lines: ocrData.lines?.length || 0,
-      confidence: ocrData.confidence
-    });
+    // Step 3: Otherwise full OCR with detected language, unless the detection pass already used it
+    if (blocks.length === 0) {
+      let ocrData;
+      if (detectedLang === DETECTION_LANGUAGE && detectionResult) {
+        ocrData = detectionResult;
+      } else {
+        updateStatus(`Running OCR (${detectedLang})...`, 20);
+        ocrData = await runOcrWithLanguage(imageDataUrl, detectedLang, ocrOptions);
+      }
 
-    // Step 3: Get text blocks (paragraphs are better semantic units than lines)
-    const blocks = ocrData.paragraphs && ocrData.paragraphs.length > 0
-      ? ocrData.paragraphs
-      : ocrData.lines || [];
+      console.log("OCR Result:", {
+        text: ocrData.text,
+        paragraphs: ocrData.paragraphs?.length || 0,
+        lines: ocrData.lines?.length || 0,
+        confidence: ocrData.confidence
+      });
+
+      // Paragraphs are better semantic units than lines
+      blocks = ocrData.paragraphs && ocrData.paragraphs.length > 0
+        ? ocrData.paragraphs
+        : ocrData.lines || [];
+    }
 
     if (blocks.length === 0) {
       console.log("No text blocks detected");
@@ -89,63 +128,314 @@ async function processImage(img) {
       return;
     }
 
-    // Filter blocks with actual text
-    const validBlocks = blocks.filter(b => b.text && b.text.trim().length >= 2);
+    // Filter blocks with actual text, in the order the page is read
+    let validBlocks = orderBlocks(
+      blocks.filter(b => b.text && b.text.trim().length >= 2),
+      pageReadingDirection(detectedLang, img)
+    ).map((b) => ({ ...b, sourceLang: sourceLanguageFor(b.language || detectedLang) }));
 
     if (validBlocks.length === 0) {
       showError("No readable text found");
       return;
     }
 
+    if (ocrReview) {
+      const texts = await reviewOcrBlocks(validBlocks, detectedLang);
+      if (!texts) {
+        // Left unprocessed so a later scan offers it again
+        img.removeAttribute(PROCESSED_ATTR);
+        hideStatus();
+        return;
+      }
+      validBlocks = validBlocks.map((b, i) => ({ ...b, text: texts[i] })).filter((b) => b.text.length > 0);
+      if (validBlocks.length === 0) {
+        hideStatus();
+        return;
+      }
+    }
+
     console.log(`Found ${validBlocks.length} text blocks to translate`);
     updateStatus(`Translating ${validBlocks.length} text blocks...`, 50);
 
-    // Step 4: Translate each block
-    const translations = [];
-    for (let i = 0; i < validBlocks.length; i++) {
+    // Step 4: Place overlays now so translations can fill in as they stream back
+    const overlays = overlayTextBlocks(img, validBlocks, validBlocks.map(() => "…"), { width, height });
+    blockOverlays.set(img, overlays.filter(Boolean));
+
+    // Step 5: Translate all blocks together so the model sees the whole page
+    const segmentTypes = [];
+    const translations = await translateBlocks(validBlocks, (i, result) => {
+      segmentTypes[i] = result.segmentType;
+      if (!overlays[i]) return;
+      setBlockOverlayText(overlays[i], result.translated);
+      setBlockOverlayKind(overlays[i], result);
+      markGlossaryWarnings(overlays[i], result.glossaryWarnings || []);
+    }, (i, quality) => {
       const block = validBlocks[i];
-      updateStatus(`Translating block ${i + 1}/${validBlocks.length}...`, 50 + (i / validBlocks.length) * 40);
-
-      try {
-        const translated = await translateTextAsync(block.text.trim());
-        translations.push(translated);
-      } catch (e) {
-        console.error(`Failed to translate block ${i}:`, e);
-        translations.push(block.text); // Fallback to original
+      if (overlays[i]) {
+        markBlockQuality(overlays[i], quality, {
+          img,
+          index: i,
+          text: block.text.trim(),
+          confidence: block.confidence,
+          sourceLang: block.sourceLang
+        });
       }
-    }
+    });
+    translations.forEach((translated, i) => {
+      if (overlays[i]) setBlockOverlayText(overlays[i], translated);
+    });
+
+    // The boxes are in pixels of the captured image, so that is what gets rendered
+    translatedImages.set(img, {
+      source: { image: imageDataUrl },
+      blocks: validBlocks.map((b, i) => ({ bbox: b.bbox, translated: translations[i], segmentType: segmentTypes[i] }))
+    });
 
-    // Step 5: Overlay translations
-    overlayTextBlocks(img, validBlocks, translations);
     showSuccess(`Translated ${validBlocks.length} text blocks!`);
 
   } catch (e) {
-    console.error("OCR failed for image:", img.src, e);
+    console.error("OCR failed for image:", sourceLabel(img), e);
     showError(e.message || "OCR failed");
   }
 }
 
+/**
+ * Translate the blocks of one image in a single streamed batch request,
+ * falling back to one request per block if the batch fails.
+ * onTranslated(index, { translated, segmentType?, notes?, glossaryWarnings? }) fires as each block completes,
+ * and onQuality(index, quality) once the batch is scored if the quality check is on.
+ */
+async function translateBlocks(blocks, onTranslated, onQuality) {
+  const texts = blocks.map((b) => b.text.trim());
+
+  try {
+    let completed = 0;
+    const translations = await translateBatchStreaming(texts, (i, result) => {
+      completed++;
+      updateStatus(`Translated ${completed}/${blocks.length} blocks...`, 50 + (completed / blocks.length) * 40);
+      onTranslated(i, result);
+    }, { confidences: blocks.map((b) => b.confidence), sourceLangs: blocks.map((b) => b.sourceLang), onQuality });
+    // Keep the original text for any block the server left empty
+    return translations.map((t, i) => t || blocks[i].text);
+  } catch (e) {
+    console.error("Batch translation failed, translating blocks one by one:", e);
+  }
+
+  const translations = [];
+  for (let i = 0; i < blocks.length; i++) {
+    updateStatus(`Translating block ${i + 1}/${blocks.length}...`, 50 + (i / blocks.length) * 40);
+
+    try {
+      const translated = await translateTextAsync(texts[i], blocks[i].sourceLang);
+      translations.push(translated);
+    } catch (e) {
+      console.error(`Failed to translate block ${i}:`, e);
+      translations.push(blocks[i].text); // Fallback to original
+    }
+    onTranslated(i, { translated: translations[i] });
+  }
+  return translations;
+}
+
+// ============================================
+// VIDEO FRAMES
+// ============================================
+
+function clearBlockOverlays(el) {
+  for (const overlay of blockOverlays.get(el) || []) overlay.remove();
+  blockOverlays.delete(el);
+}
+
+/**
+ * Translate the frame shown by the video in view, e.g. burned-in subtitles.
+ * The video is paused so the overlays stay over their frame; they are
+ * cleared once it plays on.
+ */
+async function translateVideoFrame() {
+  const video = findVisibleVideo();
+  if (!video) {
+    showError("No playable video in view");
+    return;
+  }
+
+  const clear = () => {
+    clearBlockOverlays(video);
+    translatedImages.delete(video);
+    video.removeAttribute(PROCESSED_ATTR);
+  };
+
+  video.pause();
+  clearBlockOverlays(video);
+  video.removeAttribute(PROCESSED_ATTR);
+  video.addEventListener("play", clear, { once: true });
+  await processImage(video);
+
+  // Resumed while the frame was being translated: its overlays no longer match
+  if (!video.paused) clear();
+}
+
+// ============================================
+// CHAPTER JOBS
+// ============================================
+
+const CHAPTER_POLL_MS = 1500;
+
+/**
+ * Send every image on the page to the server as one chapter job, which
+ * fetches, recognizes and translates them in the background. Each image's
+ * overlays are placed as soon as the server has finished it.
+ */
+async function translateChapter() {
+  const imgs = Array.from(document.images)
+    .filter((img) => img.width >= 80 && img.height >= 40 && !img.hasAttribute(PROCESSED_ATTR));
+
+  if (imgs.length === 0) {
+    showError("No untranslated images found on this page");
+    return;
+  }
+
+  try {
+    updateStatus(`Preparing chapter of ${imgs.length} image(s)...`, 0);
+    const ocrLang = await chapterOcrLanguage(imgs[0]);
+
+    // The server fetches http(s) images itself; anything else is sent as a data URL
+    const images = [];
+    for (const img of imgs) {
+      const src = img.currentSrc || img.src;
+      images.push(/^https?:/.test(src) ? { url: src } : { image: await getImageAsDataUrl(img) });
+      img.setAttribute(PROCESSED_ATTR, "true");
+    }
+
+    let job = await submitChapterJob(images, ocrLang, pageReadingDirection(ocrLang, imgs[0]));
+    console.log(`Chapter job ${job.id} started with ${imgs.length} images (${ocrLang})`);
+
+    const applied = new Set();
+    while (true) {
+      for (const image of job.images) {
+        if (applied.has(image.index) || !["done", "failed", "cancelled"].includes(image.state)) continue;
+        applied.add(image.index);
+        if (image.state === "done") {
+          applyChapterImage(imgs[image.index], image.blocks, job.sourceLang);
+          translatedImages.set(imgs[image.index], { source: images[image.index], blocks: image.blocks });
+        } else {
+          console.warn(`Chapter image ${image.index} ${image.state}:`, image.error, image.detail);
+        }
+      }
+
+      const { total, done, failed } = job.progress;
+      updateStatus(`Chapter: ${done + failed}/${total} images`, ((done + failed) / total) * 100, failed ? `${failed} failed` : null);
+      if (job.state !== "running") break;
+
+      await new Promise((resolve) => setTimeout(resolve, CHAPTER_POLL_MS));
+      job = await getChapterJob(job.id);
+    }
+
+    if (job.state === "cancelled") {
+      showError("Chapter job was cancelled");
+    } else {
+      showSuccess(`Translated ${job.progress.done}/${job.progress.total} images!`);
+    }
+  } catch (e) {
+    console.error("Chapter job failed:", e);
+    imgs.forEach((img) => img.removeAttribute(PROCESSED_ATTR));
+    showError(e.message || "Chapter job failed");
+  }
+}
+
+/**
+ * The OCR language for a whole chapter; "auto" is resolved once, from the first image
+ */
+async function chapterOcrLanguage(img) {
+  if (ocrLanguage !== "auto") return ocrLanguage;
+
+  updateStatus("Detecting language...", 5);
+  const { dataUrl, method } = await captureImage(img);
+  const detectedLang = await detectTextLanguage(dataUrl, { screenshot: method === "screenshot" });
+  const isVertical = isLikelyVerticalText(img.naturalWidth || img.width, img.naturalHeight || img.height);
+  return detectedLang === "jpn" && isVertical ? "jpn_vert" : detectedLang;
+}
+
+/**
+ * Overlay the translated blocks the server returned for one image. Blocks are
+ * re-translated from the job's source language, else the one the model detected,
+ * as the server scored them.
+ */
+function applyChapterImage(img, blocks, sourceLang) {
+  if (!img || blocks.length === 0) return;
+
+  const overlays = overlayTextBlocks(img, blocks, blocks.map((b) => b.translated || b.text));
+  blocks.forEach((block, i) => {
+    if (!overlays[i]) return;
+    setBlockOverlayKind(overlays[i], block);
+    markGlossaryWarnings(overlays[i], block.glossaryWarnings || []);
+    if (block.quality) {
+      markBlockQuality(overlays[i], block.quality, {
+        img,
+        index: i,
+        text: block.text,
+        confidence: block.confidence,
+        sourceLang: sourceLang || block.detectedLang
+      });
+    }
+  });
+}
+
+/**
+ * Download the translated images, typeset by the server: a PNG for one image,
+ * a CBZ of all of them in page order otherwise
+ */
+function saveTranslatedImages() {
+  const pages = Array.from(translatedImages.keys())
+    .filter((img) => img.isConnected)
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+    .map((img) => {
+      const { source, blocks } = translatedImages.get(img);
+      return { ...source, blocks };
+    });
+
+  if (pages.length === 0) {
+    showError("Translate some images first");
+    return;
+  }
+
+  const fileName = (document.title || "translated").replace(/[\\/:*?"<>|]+/g, "_").trim().slice(0, 100);
+  updateStatus(`Rendering ${pages.length} image(s)...`, 50);
+
+  chrome.runtime.sendMessage(
+    { type: "SAVE_RENDERED", pages, fileName, pageUrl: location.href },
+    (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        showError(response?.message || chrome.runtime.lastError?.message || "Rendering failed");
+        return;
+      }
+      showSuccess(`Saved ${pages.length} translated image(s)`);
+    }
+  );
+}
+
 // ============================================
 // BLOCK OVERLAYS
 // ============================================
 
 /**
  * Overlay text blocks with transparent background
+ * imageSize is the size of the image the block boxes refer to, the source's natural size by default.
+ * Returns the overlay element for each block (null where nothing was placed)
  */
-function overlayTextBlocks(img, blocks, translations) {
+function overlayTextBlocks(img, blocks, translations, imageSize = naturalSize(img)) {
   console.log("📍 overlayTextBlocks called with", blocks.length, "blocks");
 
-  const imgRect = img.getBoundingClientRect();
-  const imageWidth = img.naturalWidth || imgRect.width;
-  const imageHeight = img.naturalHeight || imgRect.height;
+  const imgRect = renderedImageRect(img);
+  const imageWidth = imageSize.width || imgRect.width;
+  const imageHeight = imageSize.height || imgRect.height;
 
   // Scale factors
   const scaleX = imgRect.width / imageWidth;
   const scaleY = imgRect.height / imageHeight;
 
-  blocks.forEach((block, i) => {
+  const overlays = blocks.map((block, i) => {
     const translated = translations[i];
-    if (!translated || !translated.trim()) return;
+    if (!translated || !translated.trim()) return null;
 
     const bbox = block.bbox;
 
@@ -155,11 +445,10 @@ function overlayTextBlocks(img, blocks, translations) {
     const width = (bbox.x1 - bbox.x0) * scaleX;
     const height = (bbox.y1 - bbox.y0) * scaleY;
 
-    // Calculate font size based on block size
-    const fontSize = calculateFontSize(width, height, translated.length, 10, 24);
-
     const overlay = document.createElement("div");
     overlay.className = "it-block-overlay";
+    // Bubbles are rounded; keeping the text off their box corners keeps it inside the outline
+    if (block.kind === "bubble") overlay.classList.add("it-region-bubble");
     overlay.style.cssText = `
       position: absolute;
       left: ${left}px;
@@ -178,13 +467,16 @@ function overlayTextBlocks(img, blocks, translations) {
       background: transparent;
     `;
 
+    overlay.dataset.width = width;
+    overlay.dataset.height = height;
+
     overlay.innerHTML = `
       <span style="
         color: #fff;
-        font-size: ${fontSize}px;
         line-height: 1.2;
         font-family: 'Segoe UI', Arial, sans-serif;
         font-weight: 600;
+        white-space: pre-line;
         word-wrap: break-word;
         overflow-wrap: break-word;
         text-shadow: 
@@ -193,16 +485,150 @@ function overlayTextBlocks(img, blocks, translations) {
           -1px 1px 0 #000,
           1px 1px 0 #000,
           0 0 4px #000;
-      ">${translated}</span>
+      "></span>
     `;
+    setBlockOverlayText(overlay, translated);
 
     // Click to dismiss this overlay
     overlay.addEventListener("click", () => overlay.remove());
 
     document.body.appendChild(overlay);
+    return overlay;
   });
 
   console.log("✅ Block overlays added");
+  return overlays;
+}
+
+/**
+ * Replace a block overlay's text, resizing the font to fit the block
+ */
+function setBlockOverlayText(overlay, translated) {
+  const width = Number(overlay.dataset.width);
+  const height = Number(overlay.dataset.height);
+
+  // Calculate font size based on block size
+  const fontSize = calculateFontSize(width, height, Math.max(translated.length, 1), 10, 24);
+
+  const span = overlay.querySelector("span");
+  span.style.fontSize = `${fontSize}px`;
+  span.textContent = translated;
+}
+
+/**
+ * Style a block overlay by what the text is (SFX, sign, ...) and attach translator notes
+ */
+function setBlockOverlayKind(overlay, { segmentType, notes = [] }) {
+  for (const className of [...overlay.classList]) {
+    if (className.startsWith("it-segment-")) overlay.classList.remove(className);
+  }
+  if (segmentType) overlay.classList.add(`it-segment-${segmentType}`);
+
+  overlay.querySelector(".it-note-badge")?.remove();
+  if (notes.length === 0) return;
+
+  const badge = document.createElement("span");
+  badge.className = "it-note-badge";
+  badge.textContent = "i";
+  badge.title = notes.join("\n");
+  overlay.appendChild(badge);
+}
+
+/**
+ * Flag a block whose quality score is low. The badge shows the score and the
+ * back-translation, and opens a menu to translate the block again with another
+ * provider or profile. `block` is { img, index, text, confidence, sourceLang } of the OCR block.
+ */
+function markBlockQuality(overlay, quality, block) {
+  overlay.classList.toggle("it-low-quality", quality.low);
+  overlay.querySelector(".it-quality-badge")?.remove();
+  if (!quality.low) return;
+
+  const details = [`Quality ${Math.round(quality.score * 100)}%`];
+  if (quality.similarity !== undefined) details.push(`back-translation match ${Math.round(quality.similarity * 100)}%`);
+  if (quality.ocrConfidence !== undefined) details.push(`OCR confidence ${Math.round(quality.ocrConfidence)}%`);
+
+  const badge = document.createElement("span");
+  badge.className = "it-quality-badge";
+  badge.textContent = "↻";
+  badge.title = details.join(", ") +
+    (quality.backTranslation ? `\nBack-translation: ${quality.backTranslation}` : "") +
+    "\nClick to re-translate with another model or profile";
+  badge.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showRetranslateMenu(overlay, badge, block);
+  });
+  overlay.appendChild(badge);
+}
+
+/**
+ * Menu of the other providers and prompt profiles to re-translate a block with
+ */
+function showRetranslateMenu(overlay, badge, block) {
+  document.querySelector(".it-retranslate-menu")?.remove();
+
+  const choices = [
+    ...providerNames.map((name) => ({ label: `🤖 ${name}`, overrides: { provider: name } })),
+    ...Array.from(document.getElementById("it-profile-select").options)
+      .filter((option) => option.value && option.value !== activeProfile)
+      .map((option) => ({ label: option.textContent, overrides: { profile: option.value } }))
+  ];
+  if (choices.length === 0) {
+    showError("No other providers or profiles available");
+    return;
+  }
+
+  const menu = document.createElement("div");
+  menu.className = "it-retranslate-menu";
+  for (const choice of choices) {
+    const item = document.createElement("button");
+    item.textContent = choice.label;
+    item.addEventListener("click", (e) => {
+      e.stopPropagation();
+      menu.remove();
+      retranslateOverlay(overlay, block, choice.overrides);
+    });
+    menu.appendChild(item);
+  }
+
+  const rect = badge.getBoundingClientRect();
+  menu.style.left = `${rect.left + window.scrollX}px`;
+  menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+  document.body.appendChild(menu);
+
+  // Any click elsewhere closes the menu
+  setTimeout(() => document.addEventListener("click", () => menu.remove(), { once: true }));
+}
+
+/**
+ * Translate one block again and update its overlay and the saved translation
+ */
+async function retranslateOverlay(overlay, block, overrides) {
+  const previous = overlay.querySelector("span").textContent;
+  setBlockOverlayText(overlay, "…");
+  updateStatus("Re-translating block...", 50, overrides.provider || overrides.profile);
+
+  try {
+    const result = await retranslateBlock(block.text, block.confidence, {
+      ...overrides,
+      ...(block.sourceLang && { sourceLang: block.sourceLang })
+    });
+    setBlockOverlayText(overlay, result.translated || previous);
+    setBlockOverlayKind(overlay, result);
+    markGlossaryWarnings(overlay, result.glossaryWarnings || []);
+    if (result.quality) markBlockQuality(overlay, result.quality, block);
+
+    const saved = translatedImages.get(block.img)?.blocks[block.index];
+    if (saved && result.translated) {
+      saved.translated = result.translated;
+      saved.segmentType = result.segmentType;
+    }
+    showSuccess(result.quality?.low ? "Re-translated, still low confidence" : "Re-translated block");
+  } catch (e) {
+    console.error("Re-translation failed:", e);
+    setBlockOverlayText(overlay, previous);
+    showError(e.message || "Re-translation failed");
+  }
 }
 
 /**
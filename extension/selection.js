@@ -102,10 +102,10 @@ async function processSelectedRegion(rect) {
   updateStatus("Capturing selected area...", 10);
 
   try {
-    const dataUrl = await captureRegionViaBackground(rect);
+    const dataUrl = await withExtensionUiHidden(() => captureRegionViaBackground(rect));
     console.log("Captured region, dataUrl length:", dataUrl.length);
 
-    const ocrData = await ocrImage(dataUrl, rect.width, rect.height);
+    const ocrData = await ocrImage(dataUrl, { screenshot: true });
 
     let text = extractTextFromOcrData(ocrData);
 
@@ -114,15 +114,34 @@ async function processSelectedRegion(rect) {
       return;
     }
 
+    if (ocrReview) {
+      const [corrected] = await reviewOcrBlocks([{ ...ocrData, text }], ocrData.language) || [];
+      if (!corrected) {
+        hideStatus();
+        return;
+      }
+      text = corrected;
+    }
+
     console.log("Detected text:", text);
     updateStatus("Translating...", 80);
 
-    translateText(text, (translated) => {
-      showSelectionOverlay(rect, text, translated);
-      showSuccess("Translation complete!");
-    }, (error) => {
-      showError(error);
-    });
+    // Show the overlay right away and fill it in as the translation streams in
+    const popup = showSelectionOverlay(rect, text, "");
+    try {
+      const { translated, glossaryWarnings } = await translateTextStreaming(text, (partial) => {
+        updateSelectionOverlay(popup, rect, partial);
+        updateStatus("Translating...", 90, `${partial.length} characters received`);
+      }, sourceLanguageFor(ocrData.language));
+      updateSelectionOverlay(popup, rect, translated);
+      markGlossaryWarnings(popup, glossaryWarnings);
+      showSuccess(glossaryWarnings.length > 0
+        ? `Translation complete! (${glossaryWarnings.length} glossary term(s) not applied)`
+        : "Translation complete!");
+    } catch (e) {
+      popup.remove();
+      throw e;
+    }
   } catch (e) {
     console.error("Selection processing failed:", e);
     showError(e.message);
@@ -164,16 +183,13 @@ function showSelectionOverlay(rect, originalText, translatedText) {
     z-index: 2147483647;
   `;
 
-  // Calculate font size
-  const fontSize = calculateFontSize(rect.width, rect.height, translatedText.length, 12, 32);
-
   popup.innerHTML = `
     <div class="it-overlay-text" style="
       color: #fff;
-      font-size: ${fontSize}px;
       line-height: 1.3;
       font-family: 'Segoe UI', Arial, sans-serif;
       font-weight: 600;
+      white-space: pre-line;
       word-wrap: break-word;
       overflow-wrap: break-word;
       text-shadow: 
@@ -183,13 +199,26 @@ function showSelectionOverlay(rect, originalText, translatedText) {
         1px 1px 0 #000,
         0 0 3px #000,
         0 0 6px #000;
-    ">${translatedText.replace(/\n/g, "<br>")}</div>
+    "></div>
   `;
+  updateSelectionOverlay(popup, rect, translatedText);
 
   // Click to dismiss
   popup.addEventListener("click", () => popup.remove());
 
   document.body.appendChild(popup);
+  return popup;
+}
+
+/**
+ * Replace the overlay text, resizing the font to fit the selection
+ */
+function updateSelectionOverlay(popup, rect, translatedText) {
+  const textEl = popup.querySelector(".it-overlay-text");
+  const fontSize = calculateFontSize(rect.width, rect.height, Math.max(translatedText.length, 1), 12, 32);
+
+  textEl.style.fontSize = `${fontSize}px`;
+  textEl.textContent = translatedText;
 }
 
 console.log("✅ selection.js loaded");
@@ -0,0 +1,273 @@
+/**
+ * Image Translator - Scan Sources
+ * Finds what a scan can translate - images, canvases, CSS backgrounds and
+ * video frames - and gets each one's pixels at the best resolution on offer
+ */
+
+// ============================================
+// DISCOVERY
+// ============================================
+
+// Smaller sources are icons and decorations rather than pages
+const MIN_SOURCE_WIDTH = 80;
+const MIN_SOURCE_HEIGHT = 40;
+
+// The extension's own elements, never scanned
+const EXTENSION_UI_SELECTOR = [
+  "#image-translator-toolbar",
+  "#image-translator-status",
+  ".it-block-overlay",
+  ".image-translator-overlay",
+  ".image-translator-simple-overlay",
+  ".it-translation-popup",
+  ".it-retranslate-menu",
+  ".it-review-panel"
+].join(", ");
+
+/**
+ * What kind of scan source an element is: "image", "canvas", "video" or "background"
+ */
+function sourceKind(el) {
+  if (el instanceof HTMLImageElement) return "image";
+  if (el instanceof HTMLCanvasElement) return "canvas";
+  if (el instanceof HTMLVideoElement) return "video";
+  return "background";
+}
+
+// Subtrees that never hold a scan source
+const SKIPPED_SUBTREE_TAGS = new Set(["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT", "svg", "VIDEO", "AUDIO", "IFRAME"]);
+
+/**
+ * Absolute URL of an element's CSS background image, or null when it has none.
+ * Only the top layer counts; gradients are not images. An inline style is read
+ * first, since computing the style of every element on a long page is slow.
+ */
+function backgroundImageUrl(el) {
+  const pattern = /url\(["']?(.*?)["']?\)/;
+  const match = el.style?.backgroundImage.match(pattern) ?? getComputedStyle(el).backgroundImage.match(pattern);
+  return match ? new URL(match[1], document.baseURI).href : null;
+}
+
+/**
+ * Short description of a source for logs and the status panel
+ */
+function sourceLabel(el) {
+  switch (sourceKind(el)) {
+    case "image":
+      return el.currentSrc || el.src;
+    case "video":
+      return `<video> ${el.currentSrc || el.src}`;
+    case "canvas":
+      return `<canvas> ${el.width}x${el.height}`;
+    default:
+      return `background ${backgroundImageUrl(el)}`;
+  }
+}
+
+function isScannableSize(el) {
+  const rect = el.getBoundingClientRect();
+  return rect.width >= MIN_SOURCE_WIDTH && rect.height >= MIN_SOURCE_HEIGHT;
+}
+
+/**
+ * Everything on the page a scan translates, in document order: images,
+ * canvases and elements with a CSS background image. Videos are translated
+ * a frame at a time instead (see translateVideoFrame).
+ */
+function findScanSources() {
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(el) {
+      // Rejecting skips the whole subtree
+      if (SKIPPED_SUBTREE_TAGS.has(el.tagName) || el.matches(EXTENSION_UI_SELECTOR)) return NodeFilter.FILTER_REJECT;
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  const sources = [];
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    const candidate = el instanceof HTMLImageElement || el instanceof HTMLCanvasElement || backgroundImageUrl(el);
+    if (candidate && isScannableSize(el)) sources.push(el);
+  }
+  return sources;
+}
+
+/**
+ * The video to take a frame from: the one with the most area in view that
+ * has a frame to show, or null
+ */
+function findVisibleVideo() {
+  let best = null;
+  let bestArea = 0;
+  for (const video of document.querySelectorAll("video")) {
+    if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) continue;
+    const rect = video.getBoundingClientRect();
+    const area = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0))
+      * Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+    if (area > bestArea) {
+      best = video;
+      bestArea = area;
+    }
+  }
+  return best;
+}
+
+// ============================================
+// RESOLUTION
+// ============================================
+
+/**
+ * Candidates of a srcset attribute as { url, width } or { url, density }
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  let rest = srcset.trim();
+
+  while (rest) {
+    const url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+
+    // A URL ending in a comma has no descriptors
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      rest = rest.trimStart();
+    } else {
+      const end = rest.indexOf(",");
+      descriptor = (end < 0 ? rest : rest.slice(0, end)).trim();
+      rest = end < 0 ? "" : rest.slice(end + 1).trimStart();
+    }
+
+    const href = new URL(url.replace(/,+$/, ""), document.baseURI).href;
+    const width = descriptor.match(/^(\d+)w$/);
+    const density = descriptor.match(/^([\d.]+)x$/);
+    candidates.push(width ? { url: href, width: Number(width[1]) } : { url: href, density: density ? Number(density[1]) : 1 });
+  }
+  return candidates;
+}
+
+/**
+ * URL of the largest file an <img> offers: the widest candidate of its srcset
+ * and of its <picture>'s <source>s whose media query matches, when that is
+ * wider than what it shows now. Density candidates are taken to be as wide
+ * as the density times the image's layout width.
+ */
+function bestImageUrl(img) {
+  const srcsets = [img.getAttribute("srcset")];
+  if (img.parentElement instanceof HTMLPictureElement) {
+    for (const source of img.parentElement.querySelectorAll("source")) {
+      if (!source.media || matchMedia(source.media).matches) srcsets.push(source.getAttribute("srcset"));
+    }
+  }
+
+  let best = { url: img.currentSrc || img.src, width: img.naturalWidth };
+  for (const candidate of srcsets.filter(Boolean).flatMap(parseSrcset)) {
+    const width = candidate.width || candidate.density * img.width;
+    if (width > best.width) best = { url: candidate.url, width };
+  }
+  return best.url;
+}
+
+/**
+ * Pixel size of what a source shows. Backgrounds are measured by their box.
+ */
+function naturalSize(el) {
+  switch (sourceKind(el)) {
+    case "image":
+      return { width: el.naturalWidth, height: el.naturalHeight };
+    case "canvas":
+      return { width: el.width, height: el.height };
+    case "video":
+      return { width: el.videoWidth, height: el.videoHeight };
+    default: {
+      const rect = el.getBoundingClientRect();
+      const pixelRatio = window.devicePixelRatio || 1;
+      return { width: Math.round(rect.width * pixelRatio), height: Math.round(rect.height * pixelRatio) };
+    }
+  }
+}
+
+/**
+ * Where a source's picture is drawn in the viewport. With object-fit: contain
+ * (the default for videos) it is letterboxed inside the element's box;
+ * otherwise it is taken to fill the box.
+ */
+function renderedImageRect(el) {
+  const rect = el.getBoundingClientRect();
+  const { width, height } = naturalSize(el);
+  if (!width || !height || getComputedStyle(el).objectFit !== "contain") return rect;
+
+  const scale = Math.min(rect.width / width, rect.height / height);
+  return new DOMRect(
+    rect.left + (rect.width - width * scale) / 2,
+    rect.top + (rect.height - height * scale) / 2,
+    width * scale,
+    height * scale
+  );
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * The current frame of a video as a PNG data URL; throws when the video is
+ * cross-origin and so taints the canvas
+ */
+function captureVideoFrame(video) {
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext("2d").drawImage(video, 0, 0);
+  return canvas.toDataURL("image/png");
+}
+
+async function captureSourcePixels(el) {
+  switch (sourceKind(el)) {
+    case "image":
+      return captureImage(el);
+
+    case "canvas":
+      try {
+        return { dataUrl: el.toDataURL("image/png"), method: "canvas" };
+      } catch (e) {
+        console.log("❌ Canvas is tainted by cross-origin content");
+      }
+      break;
+
+    case "video":
+      try {
+        return { dataUrl: captureVideoFrame(el), method: "videoFrame" };
+      } catch (e) {
+        console.log("❌ Video frame capture failed - cross-origin");
+      }
+      break;
+
+    default: {
+      const url = backgroundImageUrl(el);
+      if (url.startsWith("data:")) return { dataUrl: url, method: "inline" };
+      if (/^https?:/.test(url)) {
+        try {
+          return { dataUrl: await fetchImageViaOffscreen(url), method: "offscreen" };
+        } catch (e) {
+          console.log("❌ Offscreen fetch failed:", e.message);
+        }
+      }
+    }
+  }
+
+  return { dataUrl: await captureImageViaScreenshot(el), method: "screenshot" };
+}
+
+/**
+ * Capture a scan source at the best resolution available, falling back to a
+ * screenshot. Resolves to { dataUrl, method, width, height }: method is a
+ * CAPTURE_METHODS key, and OCR boxes on the capture refer to its width and height.
+ */
+async function captureSource(el) {
+  const { dataUrl, method } = await captureSourcePixels(el);
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return { dataUrl, method, ...size };
+}
+
+console.log("✅ sources.js loaded");
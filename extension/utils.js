@@ -7,38 +7,102 @@
 // IMAGE CAPTURE
 // ============================================
 
+// More frames than this and an image is too large to capture by scrolling
+const MAX_STITCH_FRAMES = 40;
+
+function nextPaint() {
+  return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
 /**
- * Capture image via screenshot from background script
+ * Run a screenshot capture with the extension's toolbar, panels and overlays
+ * hidden, so they do not end up in the captured pixels
+ */
+async function withExtensionUiHidden(capture) {
+  document.documentElement.classList.add("it-capturing");
+  try {
+    await nextPaint();
+    return await capture();
+  } finally {
+    document.documentElement.classList.remove("it-capturing");
+  }
+}
+
+/**
+ * Capture an image (or any scan source, see sources.js) via screenshots from
+ * the background script. Images larger than or partly outside the viewport
+ * are scrolled through frame by frame and stitched together; the scroll
+ * position is restored afterwards. The result has the image's natural size,
+ * so OCR boxes line up with overlays.
  */
 function captureImageViaScreenshot(img) {
-  return new Promise((resolve, reject) => {
-    const rect = img.getBoundingClientRect();
+  const start = renderedImageRect(img);
+  if (start.width === 0 || start.height === 0) {
+    return Promise.reject(new Error("Image not visible"));
+  }
 
-    if (rect.width === 0 || rect.height === 0) {
-      reject(new Error("Image not visible"));
-      return;
-    }
+  const natural = naturalSize(img);
+  const width = natural.width || Math.round(start.width * (window.devicePixelRatio || 1));
+  const height = natural.height || Math.round(start.height * (window.devicePixelRatio || 1));
+  const scaleX = width / start.width;
+  const scaleY = height / start.height;
+  const fitsX = start.left >= 0 && start.right <= window.innerWidth;
+  const fitsY = start.top >= 0 && start.bottom <= window.innerHeight;
+  const frameCount = Math.ceil(start.width / window.innerWidth) * Math.ceil(start.height / window.innerHeight);
+  if (frameCount > MAX_STITCH_FRAMES) {
+    return Promise.reject(new Error(`Image too large to capture by scrolling (${frameCount} frames)`));
+  }
 
-    console.log("Requesting screenshot capture for rect:", rect);
+  console.log(`Requesting screenshot capture for rect (${frameCount} frame(s)):`, start);
 
-    chrome.runtime.sendMessage(
-      {
-        type: "CAPTURE_IMAGE_REGION",
-        rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
-        devicePixelRatio: window.devicePixelRatio || 1
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        if (!response || response.error) {
-          reject(new Error(response?.message || "Capture failed"));
-          return;
+  return withExtensionUiHidden(async () => {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const docLeft = start.left + scrollX;
+    const docTop = start.top + scrollY;
+
+    try {
+      // Each frame covers what is visible of the image from (x, y) on; the
+      // next starts where it ended, which also copes with scrolls clamped at the page end
+      let y = 0;
+      while (y < start.height) {
+        let x = 0;
+        let bottom = y;
+        while (x < start.width) {
+          if (!fitsX || !fitsY) {
+            window.scrollTo({ left: fitsX ? scrollX : docLeft + x, top: fitsY ? scrollY : docTop + y, behavior: "instant" });
+            await nextPaint();
+          }
+
+          const rect = renderedImageRect(img);
+          const x0 = Math.max(0, rect.left);
+          const y0 = Math.max(0, rect.top);
+          const x1 = Math.min(window.innerWidth, rect.right);
+          const y1 = Math.min(window.innerHeight, rect.bottom);
+          if (x1 - rect.left <= x || y1 - rect.top <= y) break;
+
+          const frame = await captureRegionViaBackground({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+          const bitmap = await createImageBitmap(await (await fetch(frame)).blob());
+          ctx.drawImage(bitmap, (x0 - rect.left) * scaleX, (y0 - rect.top) * scaleY, (x1 - x0) * scaleX, (y1 - y0) * scaleY);
+          bitmap.close();
+
+          x = x1 - rect.left;
+          bottom = Math.max(bottom, y1 - rect.top);
         }
-        resolve(response.dataUrl);
+        if (bottom <= y) break;
+        y = bottom;
       }
-    );
+
+      if (y < start.height - 1) {
+        console.warn(`Only the top ${Math.round(y)} of ${Math.round(start.height)} px could be scrolled into view`);
+      }
+    } finally {
+      if (!fitsX || !fitsY) window.scrollTo({ left: scrollX, top: scrollY, behavior: "instant" });
+    }
+
+    return blobToDataUrl(await canvas.convertToBlob({ type: "image/png" }));
   });
 }
 
@@ -84,39 +148,114 @@ function tryCanvasCapture(img) {
 }
 
 /**
- * Get image as data URL - tries canvas first, then screenshot
+ * Fetch the original image file through the background's offscreen document,
+ * which is not bound by the page's CORS rules
  */
-async function getImageAsDataUrl(img) {
+function fetchImageViaOffscreen(url) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "FETCH_IMAGE", url }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.error) {
+        reject(new Error(response?.message || "Image fetch failed"));
+        return;
+      }
+      resolve(response.dataUrl);
+    });
+  });
+}
+
+// How captureImage got an image's pixels, as shown in the status details
+const CAPTURE_METHODS = {
+  inline: "inline data URL",
+  canvas: "canvas (same origin)",
+  videoFrame: "current video frame",
+  srcset: "largest srcset candidate (offscreen fetch)",
+  offscreen: "original file (offscreen fetch)",
+  screenshot: "screenshot of the tab (reduced quality)"
+};
+
+/**
+ * Capture an image at its natural resolution where possible: the largest
+ * srcset candidate, inline data, a same-origin canvas, or the original file
+ * fetched by the offscreen document. A screenshot of the visible tab is the
+ * last resort. Resolves to { dataUrl, method }, method being a CAPTURE_METHODS key
+ */
+async function captureImage(img) {
+  const best = bestImageUrl(img);
+  if (best !== (img.currentSrc || img.src) && /^https?:/.test(best)) {
+    try {
+      const dataUrl = await fetchImageViaOffscreen(best);
+      console.log("✅ Fetched largest srcset candidate:", best);
+      return { dataUrl, method: "srcset" };
+    } catch (e) {
+      console.log("❌ Offscreen fetch of srcset candidate failed:", e.message);
+    }
+  }
+
   if (img.src.startsWith("data:")) {
-    return img.src;
+    return { dataUrl: img.src, method: "inline" };
   }
 
   // Try canvas first (same-origin only)
   try {
     const dataUrl = tryCanvasCapture(img);
     console.log("✅ Canvas capture succeeded");
-    return dataUrl;
+    return { dataUrl, method: "canvas" };
   } catch (e) {
     console.log("❌ Canvas capture failed - cross-origin");
   }
 
+  const src = img.currentSrc || img.src;
+  if (/^https?:/.test(src)) {
+    try {
+      const dataUrl = await fetchImageViaOffscreen(src);
+      console.log("✅ Offscreen fetch succeeded");
+      return { dataUrl, method: "offscreen" };
+    } catch (e) {
+      console.log("❌ Offscreen fetch failed:", e.message);
+    }
+  }
+
   // Fallback to screenshot
   console.log("Trying screenshot capture...");
   const dataUrl = await captureImageViaScreenshot(img);
   console.log("✅ Screenshot capture succeeded");
-  return dataUrl;
+  return { dataUrl, method: "screenshot" };
+}
+
+/**
+ * Get image as data URL, captured as captureImage does
+ */
+async function getImageAsDataUrl(img) {
+  return (await captureImage(img)).dataUrl;
 }
 
 // ============================================
 // TRANSLATION
 // ============================================
 
+/**
+ * Settings sent along with every translation request
+ */
+function translationSettings() {
+  return {
+    targetLang: "en",
+    ...(activeGlossary && { glossary: activeGlossary }),
+    ...(activeProfile && { profile: activeProfile }),
+    ...(qualityCheck && { quality: true }),
+    pageUrl: location.href
+  };
+}
+
 /**
  * Translate text with callback
  */
 function translateText(text, onSuccess, onError) {
   chrome.runtime.sendMessage(
-    { type: "TRANSLATE_TEXT", text, targetLang: "en" },
+    { type: "TRANSLATE_TEXT", text, ...translationSettings() },
     (response) => {
       if (chrome.runtime.lastError) {
         console.error("Message error:", chrome.runtime.lastError);
@@ -128,7 +267,7 @@ function translateText(text, onSuccess, onError) {
         return;
       }
       if (response.error) {
-        if (onError) onError("Translation failed - is the server running?");
+        if (onError) translationFailureMessage("Translation failed").then(onError);
         return;
       }
       console.log("✅ Translated:", response.translated);
@@ -138,12 +277,12 @@ function translateText(text, onSuccess, onError) {
 }
 
 /**
- * Translate text (Promise-based)
+ * Translate text (Promise-based), from sourceLang when it is known
  */
-function translateTextAsync(text) {
+function translateTextAsync(text, sourceLang) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(
-      { type: "TRANSLATE_TEXT", text, targetLang: "en" },
+      { type: "TRANSLATE_TEXT", text, ...(sourceLang && { sourceLang }), ...translationSettings() },
       (response) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
@@ -159,6 +298,255 @@ function translateTextAsync(text) {
   });
 }
 
+/**
+ * Translate one block again with a different provider or profile (Promise-based)
+ * overrides is { provider } or { profile }, plus the block's sourceLang when known;
+ * the result always carries a fresh quality score.
+ * Resolves to the server's response: { translated, segmentType, notes, glossaryWarnings, quality }
+ */
+function retranslateBlock(text, ocrConfidence, overrides) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "RETRANSLATE",
+        text,
+        ocrConfidence,
+        ...translationSettings(),
+        ...overrides,
+        structured: true,
+        quality: true
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.error) {
+          reject(new Error(response?.message || "Re-translation failed"));
+          return;
+        }
+        resolve(response.translation);
+      }
+    );
+  });
+}
+
+/**
+ * Start a server-side chapter job for a list of { url } or { image: dataUrl } entries (Promise-based)
+ * Each image's blocks come back in readingDirection order ("rtl", "ltr" or "ttb")
+ * Resolves to the job, whose images are processed in the background
+ */
+function submitChapterJob(images, ocrLang, readingDirection) {
+  const sourceLang = sourceLanguageFor(ocrLang);
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "SUBMIT_CHAPTER",
+        images,
+        ocrLang,
+        readingDirection,
+        ...(sourceLang && { sourceLang }),
+        ...translationSettings(),
+        structured: true
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.error) {
+          reject(new Error(response?.message || "Chapter job failed"));
+          return;
+        }
+        resolve(response.job);
+      }
+    );
+  });
+}
+
+/**
+ * Current state of a chapter job, with the results of finished images (Promise-based)
+ */
+function getChapterJob(id) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "GET_JOB", id }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.error) {
+        reject(new Error(response?.message || "Chapter job lookup failed"));
+        return;
+      }
+      resolve(response.job);
+    });
+  });
+}
+
+// Server error codes that mean something other than a provider failure
+const STREAM_ERROR_MESSAGES = {
+  translation_timeout: "Translation timed out",
+  job_cancelled: "Translation was cancelled"
+};
+
+/**
+ * Open a streaming translation port and resolve once the server reports "done".
+ * onEvent is called for every event the server sends.
+ * While the server queues the job, its queue position is shown in the status panel.
+ */
+function openTranslationStream(message, onEvent) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: "translate-stream" });
+    let finished = false;
+
+    const fail = async (fallback) => {
+      finished = true;
+      reject(new Error(await translationFailureMessage(fallback)));
+    };
+
+    port.onMessage.addListener((event) => {
+      if (event.type === "error") {
+        port.disconnect();
+        fail(STREAM_ERROR_MESSAGES[event.error] || "Translation failed");
+        return;
+      }
+
+      if (event.type === "queued") {
+        updateStatus(`Waiting for translation server (position ${event.position} in queue)...`);
+      } else if (event.type === "started") {
+        updateStatus("Translating...");
+      }
+
+      onEvent(event);
+
+      if (event.type === "done") {
+        finished = true;
+        port.disconnect();
+        resolve(event);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (!finished) fail("Translation stream closed");
+    });
+
+    port.postMessage({ ...message, ...translationSettings() });
+  });
+}
+
+/**
+ * Translate text, calling onChunk with the text received so far
+ * Resolves to { translated, glossaryWarnings }
+ */
+async function translateTextStreaming(text, onChunk, sourceLang) {
+  let received = "";
+  const message = { type: "TRANSLATE_STREAM", text, ...(sourceLang && { sourceLang }) };
+  const done = await openTranslationStream(message, (event) => {
+    if (event.type === "chunk") {
+      received += event.text;
+      onChunk(received);
+    }
+  });
+  return { translated: done.translated, glossaryWarnings: done.glossaryWarnings || [] };
+}
+
+/**
+ * Translate several texts from the same image in one streamed, structured call
+ * onSegment(index, { translated, segmentType, notes, glossaryWarnings }) fires as each text completes.
+ * With the quality check on, onQuality(index, { score, low, ... }) fires for each text once all are
+ * translated; confidences are the texts' OCR confidences, which count into the score.
+ * sourceLangs are the texts' detected languages, sent per segment as pages may mix them.
+ * Resolves to an array of translations in the same order as the input
+ */
+async function translateBatchStreaming(texts, onSegment, { confidences = [], sourceLangs = [], onQuality } = {}) {
+  const segments = texts.map((text, i) => ({
+    id: String(i),
+    text,
+    ...(sourceLangs[i] && { sourceLang: sourceLangs[i] }),
+    ...(Number.isFinite(confidences[i]) && { ocrConfidence: confidences[i] })
+  }));
+  const translations = texts.map(() => "");
+
+  const message = { type: "TRANSLATE_BATCH_STREAM", segments, structured: true };
+  await openTranslationStream(message, (event) => {
+    if (event.type === "segment") {
+      const index = Number(event.id);
+      translations[index] = event.translated;
+      onSegment(index, {
+        translated: event.translated,
+        segmentType: event.segmentType,
+        notes: event.notes || [],
+        glossaryWarnings: event.glossaryWarnings || []
+      });
+    } else if (event.type === "quality" && onQuality) {
+      const { type: _type, id, ...quality } = event;
+      onQuality(Number(id), quality);
+    }
+  });
+  return translations;
+}
+
+// ============================================
+// CONNECTION
+// ============================================
+
+/**
+ * Ask the background worker for GET /health
+ * Resolves to { serverReachable, problem?, health? } and never rejects
+ */
+function checkConnection() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "CHECK_HEALTH" }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        resolve({ serverReachable: false, problem: "extension_error" });
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Human-readable reason the active provider cannot translate, or null if it can
+ */
+function describeConnectionProblem(connection) {
+  if (!connection.serverReachable) {
+    switch (connection.problem) {
+      case "timeout":
+        return "Translation server timed out";
+      case "unpaired":
+        return "Not paired with the translation server - enter the pairing code in the extension options";
+      default:
+        return "Translation server is not running (localhost:3000)";
+    }
+  }
+
+  const active = connection.health.active;
+  if (!active) return null;
+
+  switch (active.problem) {
+    case "unreachable":
+      return `Provider "${active.name}" (${active.kind}) is unreachable`;
+    case "timeout":
+      return `Provider "${active.name}" timed out`;
+    case "model_not_found":
+      return active.kind === "ollama"
+        ? `Model ${active.model} is not pulled - run: ollama pull ${active.model}`
+        : `Model ${active.model} is not available on "${active.name}"`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Explain a failed translation using a fresh connection check
+ */
+async function translationFailureMessage(fallback) {
+  const connection = await refreshConnectionStatus();
+  const problem = describeConnectionProblem(connection);
+  return problem ? `${fallback} - ${problem}` : fallback;
+}
+
 // ============================================
 // HELPERS
 // ============================================
@@ -176,6 +564,16 @@ function extractTextFromOcrData(ocrData) {
   return "";
 }
 
+/**
+ * Mark an overlay whose translation ignored glossary terms
+ */
+function markGlossaryWarnings(element, warnings) {
+  element.classList.toggle("it-glossary-warning", warnings.length > 0);
+  element.title = warnings.length > 0
+    ? "Glossary not applied: " + warnings.map((w) => `${w.source} → ${w.expected}`).join(", ")
+    : "";
+}
+
 /**
  * Check if target is a UI element (toolbar, popup, status)
  */
@@ -183,7 +581,8 @@ function isUIElement(target) {
   return target.closest(".it-toolbar") ||
          target.closest(".it-translation-popup") ||
          target.closest("#image-translator-status") ||
-         target.closest(".it-block-overlay");
+         target.closest(".it-block-overlay") ||
+         target.closest(".it-retranslate-menu");
 }
 
 /**